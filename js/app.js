@@ -6,16 +6,20 @@
 // Global app data
 window.appData = {
     rawData: null,
+    imports: [],
+    importedConversations: null,  // As imported, before contact edits
+    importedConversationInfo: null,
     conversations: null,
+    conversationInfo: null,
     processed: null,
     overviewStats: null,
-    userIdentity: null,
+    userIdentities: [],  // Sender names that are "you"; the first one names all of them
     allSenders: []
 };
 
 // Initialize ConvoHelper object for timezone handling
 window.convoHelper = window.convoHelper || {
-    timezoneOffset: 0  // Default to UTC, user can override
+    timezone: 'UTC'  // IANA zone; DateRangeFilter sets the browser's zone, user can override
 };
 
 // Initialize application
@@ -33,9 +37,6 @@ function initializeApp() {
         document.getElementById('main-app').classList.remove('hidden');
     }, 1000);
     
-    // Set up timezone selector
-    setupTimezoneSelector();
-    
     // Set up file upload
     setupFileUpload();
     
@@ -75,159 +76,568 @@ function setupFileUpload() {
     dropZone.addEventListener('drop', handleDrop, false);
     fileInput.addEventListener('change', handleFileSelect, false);
     
+    const folderInput = document.getElementById('folder-input');
+    folderInput.addEventListener('change', handleFolderSelect, false);
+    
+    // Only offer file types some importer can read
+    fileInput.accept = Parser.getSupportedExtensions().join(',');
+    
     // Choose file button
     const chooseFileBtn = document.getElementById('btn-choose-file');
     chooseFileBtn.addEventListener('click', () => {
         fileInput.click();
     });
     
+    // Re-read a file's slash dates with the other day/month order, or its local times in another zone
+    document.getElementById('upload-status').addEventListener('change', (e) => {
+        const orderSelect = e.target.closest('[data-date-order]');
+        if (orderSelect) {
+            const entry = window.appData.imports[parseInt(orderSelect.dataset.dateOrder)];
+            entry.source.dateOrder = orderSelect.value;
+            reimport(entry);
+        }
+        
+        const zoneSelect = e.target.closest('[data-date-zone]');
+        if (zoneSelect) {
+            const entry = window.appData.imports[parseInt(zoneSelect.dataset.dateZone)];
+            entry.source.timeZone = zoneSelect.value;
+            reimport(entry);
+        }
+    });
+    
+    // Remove a file from the session
+    document.getElementById('upload-status').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove-import]');
+        if (!button) return;
+        
+        const [removed] = window.appData.imports.splice(parseInt(button.dataset.removeImport), 1);
+        if (CsvMapper.source === removed.source) {
+            CsvMapper.hide();
+        }
+        Pipeline.run('dropImport', { importId: removed.importId })
+            .catch(error => console.warn('Could not drop the import:', error));
+        renderImports();
+    });
+    
+    // Add more exports to an already processed session
+    document.getElementById('btn-add-files').addEventListener('click', async () => {
+        // A reopened dataset has no files; it becomes the first one so new exports are merged into it
+        if (window.appData.imports.length === 0) {
+            const entry = await SessionStore.createImportEntry();
+            if (entry) {
+                window.appData.imports.push(entry);
+            }
+        }
+        renderImports();
+        UI.navigateTo('upload');
+    });
+    
+    // Choose folder button (e.g. an unzipped Messenger/Instagram inbox)
+    const chooseFolderBtn = document.getElementById('btn-choose-folder');
+    chooseFolderBtn.addEventListener('click', () => {
+        folderInput.click();
+    });
+    
     function handleDrop(e) {
         const dt = e.dataTransfer;
+        const directoryEntries = Array.from(dt.items || [])
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(entry => entry && entry.isDirectory);
+        
+        if (directoryEntries.length > 0) {
+            collectDroppedFiles(directoryEntries)
+                .then(folderFiles => handleFolder(directoryEntries[0].name, folderFiles))
+                .catch(error => {
+                    UI.showToast('Error reading folder');
+                    console.error(error);
+                });
+            return;
+        }
+        
         const files = dt.files;
         handleFiles(files);
     }
     
     function handleFileSelect(e) {
-        const files = e.target.files;
+        const files = Array.from(e.target.files);
+        e.target.value = ''; // allow selecting the same file again
         handleFiles(files);
     }
     
-    function handleFiles(files) {
+    function handleFolderSelect(e) {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
         if (files.length === 0) return;
         
-        const file = files[0];
+        const folderName = files[0].webkitRelativePath.split('/')[0];
+        handleFolder(folderName, files.map(file => ({ file: file, path: file.webkitRelativePath || file.name })));
+    }
+    
+    /**
+     * Read a dropped or selected folder and import it like an archive
+     * @param {string} folderName - Top-level folder name
+     * @param {Array} folderFiles - Files with their path inside the folder
+     */
+    function handleFolder(folderName, folderFiles) {
+        readFolder(folderName, folderFiles)
+            .then(source => {
+                if (Object.keys(source.entries).length === 0) {
+                    UI.showToast('No supported files found in this folder');
+                    return;
+                }
+                
+                const size = folderFiles.reduce((total, item) => total + item.file.size, 0);
+                window.appData.rawData = null;
+                return addImport({ name: folderName, size: size }, source);
+            })
+            .catch(error => {
+                UI.showToast('Error reading folder');
+                console.error(error);
+            });
+    }
+    
+    async function handleFiles(files) {
+        if (files.length === 0) return;
         
-        // Validate file type
-        if (!file.name.endsWith('.json')) {
-            UI.showToast('Please select a JSON file');
-            return;
+        for (const file of Array.from(files)) {
+            // A saved project replaces the session instead of being imported
+            if (ProjectFile.isProjectFile(file.name)) {
+                ProjectFile.open(file);
+                return;
+            }
+            
+            // Validate file type
+            if (!Parser.isSupportedFile(file.name)) {
+                UI.showToast(`Unsupported file type: ${file.name}. Supported: ${Parser.getSupportedExtensions().join(', ')}`);
+                continue;
+            }
+            
+            const isArchive = file.name.toLowerCase().endsWith('.zip');
+            
+            // Read file; large files are read piece by piece while importing, media inside archives is never decompressed
+            try {
+                let source;
+                if (isArchive) {
+                    source = await readArchive(file);
+                } else if (file.size > Parser.streamThreshold) {
+                    source = Parser.createFileSource(file, await file.slice(0, Parser.headBytes).text());
+                } else {
+                    source = await readTextFile(file);
+                }
+                window.appData.rawData = source.text;
+                await addImport(file, source);
+            } catch (error) {
+                UI.showToast(`Error reading ${file.name}`);
+                console.error(error);
+            }
         }
+    }
+    
+    /**
+     * Read a plain file into an import source
+     * @param {File} file - Uploaded file
+     * @returns {Promise<Object>} Import source
+     */
+    function readTextFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(Parser.createSource(file.name, e.target.result));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+    
+    /**
+     * Read the text files of a ZIP archive into an import source
+     * @param {File} file - Uploaded ZIP file
+     * @returns {Promise<Object>} Import source
+     */
+    async function readArchive(file) {
+        const zip = await JSZip.loadAsync(file);
+        const textExtensions = Parser.getSupportedExtensions().filter(ext => ext !== '.zip');
+        const entries = {};
         
-        // Validate file size (50MB limit)
-        if (file.size > 50 * 1024 * 1024) {
-            UI.showToast('File is too large (max 50MB)');
-            return;
+        for (const path in zip.files) {
+            const entry = zip.files[path];
+            const name = path.toLowerCase();
+            
+            if (!entry.dir && textExtensions.some(ext => name.endsWith(ext))) {
+                entries[path] = await entry.async('string');
+            }
         }
         
-        // Read file
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                window.appData.rawData = e.target.result;
-                showUploadSuccess(file);
-            } catch (error) {
-                UI.showToast('Error reading file');
-                console.error(error);
+        return Parser.createArchiveSource(file.name, entries);
+    }
+    
+    /**
+     * Read the text files of a folder into an archive-style import source
+     * @param {string} folderName - Top-level folder name
+     * @param {Array} folderFiles - Files with their path inside the folder
+     * @returns {Promise<Object>} Import source
+     */
+    async function readFolder(folderName, folderFiles) {
+        const textExtensions = Parser.getSupportedExtensions().filter(ext => ext !== '.zip');
+        const entries = {};
+        
+        for (const { file, path } of folderFiles) {
+            const name = path.toLowerCase();
+            
+            // Larger files can only be streamed when uploaded on their own
+            if (textExtensions.some(ext => name.endsWith(ext)) && file.size <= Parser.streamThreshold) {
+                entries[path] = await file.text();
+            }
+        }
+        
+        return Parser.createArchiveSource(folderName, entries);
+    }
+    
+    /**
+     * Walk dropped directories and collect their files
+     * @param {Array} directoryEntries - FileSystemDirectoryEntry objects
+     * @returns {Promise<Array>} Files with their path inside the folder
+     */
+    async function collectDroppedFiles(directoryEntries) {
+        const folderFiles = [];
+        
+        const readBatch = reader => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        const getFile = entry => new Promise((resolve, reject) => entry.file(resolve, reject));
+        
+        const walk = async (entry) => {
+            if (entry.isFile) {
+                folderFiles.push({ file: await getFile(entry), path: entry.fullPath.replace(/^\//, '') });
+                return;
+            }
+            
+            // readEntries returns at most 100 entries per call
+            const reader = entry.createReader();
+            let batch = await readBatch(reader);
+            while (batch.length > 0) {
+                for (const child of batch) {
+                    await walk(child);
+                }
+                batch = await readBatch(reader);
             }
         };
-        reader.readAsText(file);
+        
+        for (const entry of directoryEntries) {
+            await walk(entry);
+        }
+        
+        return folderFiles;
     }
     
-    function showUploadSuccess(file) {
+    /**
+     * Import a loaded file and add it to the files of this session
+     * @param {Object} file - Uploaded file (name and size)
+     * @param {Object} source - Import source
+     */
+    async function addImport(file, source) {
+        const entry = {
+            fileName: file.name,
+            size: file.size,
+            source: source,
+            importId: Pipeline.createImportId(),  // The messages stay with the pipeline tasks
+            importer: null,
+            summary: null,  // Message count and senders, see PipelineTasks.summarize
+            report: null,
+            error: null,
+            added: null,
+            pending: false
+        };
+        
+        window.appData.imports.push(entry);
+        await reimport(entry);
+        
+        if (entry.error) {
+            UI.showToast(entry.error);
+        }
+        
+        // CSV files get a column mapping step; applying it imports the file again
+        if (ImporterCSV.detect(source)) {
+            CsvMapper.show(source, () => reimport(entry));
+        }
+    }
+    
+    /**
+     * Import an entry, showing it as being read meanwhile
+     * @param {Object} entry - Import entry
+     */
+    async function reimport(entry) {
+        entry.pending = true;
+        renderImports();
+        
+        await importEntry(entry);
+        renderImports();
+    }
+    
+    /**
+     * Detect the format of an import and normalize it (see PipelineTasks.importSource)
+     * @param {Object} entry - Import entry
+     */
+    async function importEntry(entry) {
+        // The worker cannot read the mappings saved in localStorage, so pick the CSV mapping here
+        if (ImporterCSV.detect(entry.source)) {
+            ImporterCSV.getMapping(entry.source);
+        }
+        
+        // Show how far a large file has been read
+        const showProgress = (step, done, total) => {
+            const progress = document.querySelector(`[data-import-progress="${window.appData.imports.indexOf(entry)}"]`);
+            if (progress && total > 1) {
+                progress.textContent = ` ${Math.round(done / total * 100)}%`;
+            }
+        };
+        
+        try {
+            const importResult = await Pipeline.run('importSource', { source: entry.source, importId: entry.importId }, showProgress);
+            entry.importer = Parser.importers.find(importer => importer.id === importResult.importerId);
+            entry.summary = importResult.summary;
+            entry.report = importResult.report;
+            entry.error = null;
+        } catch (error) {
+            console.error('Error importing file:', error);
+            entry.importer = null;
+            entry.summary = null;
+            entry.report = error.report || null;
+            entry.error = error.message;
+        }
+        entry.pending = false;
+    }
+    
+    /**
+     * Show the files of this session and update the identity selector from all of them
+     */
+    function renderImports() {
         const statusDiv = document.getElementById('upload-status');
         const identitySelectorDiv = document.getElementById('identity-selector');
         const actionsDiv = document.getElementById('upload-actions');
+        const imports = window.appData.imports;
         
-        statusDiv.innerHTML = `✅ File loaded: ${file.name} (${(file.size / 1024).toFixed(2)} KB)`;
-        statusDiv.classList.remove('hidden');
-        
-        // Extract all unique senders from the data
-        try {
-            const data = JSON.parse(window.appData.rawData);
-            const senders = extractAllSenders(data);
-            window.appData.allSenders = senders;
-            
-            // Populate identity selector
-            const identitySelect = document.getElementById('identity-select');
-            identitySelect.innerHTML = '<option value="">-- Select your identity --</option>';
+        statusDiv.innerHTML = imports.map((entry, index) => {
+            const size = `${(entry.size / 1024).toFixed(2)} KB`;
+            const remove = `<button class="btn-clear" data-remove-import="${index}" title="Remove file">✕</button>`;
             
-            senders.forEach(sender => {
-                const option = document.createElement('option');
-                option.value = sender;
-                option.textContent = sender;
-                identitySelect.appendChild(option);
-            });
+            if (entry.pending) {
+                return `<div class="upload-file">⏳ ${HtmlUtils.escape(entry.fileName)} (${size}): reading...<span data-import-progress="${index}"></span> ${remove}</div>`;
+            }
             
-            // Smart auto-selection logic
-            let autoSelectedIdentity = null;
-            let selectionReason = '';
+            const report = renderReport(entry.report);
             
-            // Priority 1: Auto-select "you" if it exists
-            if (senders.includes('you')) {
-                autoSelectedIdentity = 'you';
-                selectionReason = 'Found "you" in conversations';
-            } else {
-                // Priority 2: Find sender present in ≥80% of conversations
-                const senderPresence = calculateSenderPresence(data);
-                const totalConversations = Object.keys(senderPresence.conversations).length;
-                const threshold = totalConversations * 0.8;
-                
-                // Find candidates meeting threshold
-                const candidates = Object.entries(senderPresence.counts)
-                    .filter(([sender, count]) => count >= threshold)
-                    .sort((a, b) => b[1] - a[1]); // Sort by presence count
-                
-                if (candidates.length > 0) {
-                    autoSelectedIdentity = candidates[0][0];
-                    const percentage = ((candidates[0][1] / totalConversations) * 100).toFixed(0);
-                    selectionReason = `Present in ${percentage}% of conversations`;
-                }
+            if (entry.error) {
+                return `<div class="upload-file">❌ ${HtmlUtils.escape(entry.fileName)} (${size}): ${HtmlUtils.escape(entry.error)} ${remove}</div>${report}`;
             }
             
-            // Apply auto-selection
-            if (autoSelectedIdentity) {
-                identitySelect.value = autoSelectedIdentity;
-                window.appData.userIdentity = autoSelectedIdentity;
-                UI.showToast(`Auto-selected "${autoSelectedIdentity}" - ${selectionReason}`);
+            const messageCount = entry.summary.messageCount;
+            const added = entry.added === null ? '' : ` · ➕ ${entry.added.toLocaleString()} new`;
+            return `<div class="upload-file">✅ ${HtmlUtils.escape(entry.fileName)} (${size}) · 📦 ${entry.importer.name} · ${messageCount.toLocaleString()} messages${added} ${remove}</div>${renderDateFormat(entry.report, index)}${report}`;
+        }).join('');
+        statusDiv.classList.toggle('hidden', imports.length === 0);
+        
+        // Extract all unique senders across the imported files
+        const conversations = getImportedSenders();
+        if (Object.keys(conversations).length === 0) {
+            identitySelectorDiv.classList.add('hidden');
+            actionsDiv.classList.add('hidden');
+            return;
+        }
+        
+        const senders = extractAllSenders(conversations);
+        window.appData.allSenders = senders;
+        
+        // Keep identities chosen before more files were added, plus the ones saved by earlier uploads
+        const current = window.appData.userIdentities.filter(name => senders.includes(name));
+        const saved = loadSavedIdentities().filter(name => senders.includes(name) && !current.includes(name));
+        let identities = current.concat(saved);
+        
+        // Smart auto-selection logic
+        let autoSelectedIdentity = null;
+        let selectionReason = '';
+        
+        // Priority 1: Auto-select "you" if it exists
+        if (senders.includes('you')) {
+            autoSelectedIdentity = 'you';
+            selectionReason = 'Found "you" in conversations';
+        } else {
+            // Priority 2: Find sender present in ≥80% of conversations
+            const senderPresence = calculateSenderPresence(conversations);
+            const totalConversations = Object.keys(senderPresence.conversations).length;
+            const threshold = totalConversations * 0.8;
+            
+            // Find candidates meeting threshold
+            const candidates = Object.entries(senderPresence.counts)
+                .filter(([sender, count]) => count >= threshold)
+                .sort((a, b) => b[1] - a[1]); // Sort by presence count
+            
+            if (candidates.length > 0) {
+                autoSelectedIdentity = candidates[0][0];
+                const percentage = ((candidates[0][1] / totalConversations) * 100).toFixed(0);
+                selectionReason = `Present in ${percentage}% of conversations`;
             }
+        }
+        
+        // Apply auto-selection only when no identity was chosen or saved
+        if (saved.length > 0) {
+            UI.showToast(`Using your saved identit${saved.length === 1 ? 'y' : 'ies'}: ${saved.join(', ')}`);
+        } else if (identities.length === 0 && autoSelectedIdentity) {
+            identities = [autoSelectedIdentity];
+            UI.showToast(`Auto-selected "${autoSelectedIdentity}" - ${selectionReason}`);
+        }
+        window.appData.userIdentities = identities;
+        
+        // Populate identity selector, your names first
+        const ordered = identities.concat(senders.filter(sender => !identities.includes(sender)));
+        // Built as elements: sender names come from the file and must survive as checkbox values
+        const identityList = document.getElementById('identity-list');
+        identityList.innerHTML = '';
+        ordered.forEach(sender => {
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = sender;
+            input.checked = identities.includes(sender);
             
-            identitySelectorDiv.classList.remove('hidden');
-            actionsDiv.classList.remove('hidden');
+            const name = document.createElement('span');
+            name.textContent = sender;
             
-        } catch (error) {
-            console.error('Error extracting senders:', error);
-            UI.showToast('Error analyzing file structure');
+            const option = document.createElement('label');
+            option.className = 'identity-option';
+            option.append(input, name);
+            identityList.appendChild(option);
+        });
+        filterIdentities();
+        
+        identitySelectorDiv.classList.remove('hidden');
+        actionsDiv.classList.remove('hidden');
+    }
+    
+    /**
+     * Render a validation report as a collapsible list of problems
+     * @param {Object} report - Validation report from Parser.importSource
+     * @returns {string} HTML, empty if there is nothing to report
+     */
+    function renderReport(report) {
+        if (!report) return '';
+        
+        const { errors, skippedConversations, droppedMessages } = report;
+        if (errors.length === 0 && skippedConversations.length === 0 && droppedMessages.count === 0) {
+            return '';
         }
+        
+        const summary = [];
+        if (errors.length > 0) summary.push(`${errors.length} structure error${errors.length === 1 ? '' : 's'}`);
+        if (skippedConversations.length > 0) summary.push(`${skippedConversations.length} conversation${skippedConversations.length === 1 ? '' : 's'} skipped`);
+        if (droppedMessages.count > 0) summary.push(`${droppedMessages.count.toLocaleString()} message${droppedMessages.count === 1 ? '' : 's'} dropped`);
+        
+        const items = [];
+        errors.forEach(error => {
+            items.push(`<li>❌ <code>${HtmlUtils.escape(error.path)}</code> ${HtmlUtils.escape(error.message)}</li>`);
+        });
+        skippedConversations.forEach(skipped => {
+            items.push(`<li>⏭️ Skipped <code>${HtmlUtils.escape(skipped.path)}</code> ${HtmlUtils.escape(skipped.reason)}</li>`);
+        });
+        Object.entries(droppedMessages.byReason).forEach(([reason, count]) => {
+            items.push(`<li>🗑️ ${count.toLocaleString()} message${count === 1 ? '' : 's'} dropped: ${HtmlUtils.escape(reason)}</li>`);
+        });
+        
+        const examples = droppedMessages.examples.map(example =>
+            `<li><code>${HtmlUtils.escape(example.path)}</code> ${HtmlUtils.escape(example.reason)}</li>`
+        ).join('');
+        
+        // Messages with unreadable dates are set aside rather than placed in a made-up week
+        const quarantine = (report.quarantine || []).slice(0, 10).map(item =>
+            `<li><code>${HtmlUtils.escape(String(item.message.Date))}</code> in ${HtmlUtils.escape(item.conversation)}</li>`
+        ).join('');
+        const moreQuarantined = (report.quarantine || []).length > 10
+            ? `<li>… and ${(report.quarantine.length - 10).toLocaleString()} more</li>`
+            : '';
+        const more = droppedMessages.count > droppedMessages.examples.length
+            ? `<li>… and ${(droppedMessages.count - droppedMessages.examples.length).toLocaleString()} more</li>`
+            : '';
+        
+        return `
+            <details class="validation-report">
+                <summary>⚠️ ${summary.join(', ')}</summary>
+                <ul>${items.join('')}</ul>
+                ${examples ? `<p class="validation-report-label">Dropped messages:</p><ul>${examples}${more}</ul>` : ''}
+                ${quarantine ? `<p class="validation-report-label">Quarantined, date could not be read:</p><ul>${quarantine}${moreQuarantined}</ul>` : ''}
+            </details>
+        `;
     }
     
     /**
-     * Calculate sender presence across conversations
-     * @param {Object} data - Parsed JSON data
-     * @returns {Object} Sender presence statistics
+     * Confirm how the dates of an import were read, with a day/month switch for slash dates
+     * and a time zone switch for formats that store local times
+     * @param {Object} report - Validation report from Parser.importSource
+     * @param {number} index - Import index
+     * @returns {string} HTML, empty if no format was detected
      */
-    function calculateSenderPresence(data) {
-        const conversations = {};
-        const senderCounts = {};
+    function renderDateFormat(report, index) {
+        const format = report && report.dateFormat;
+        if (!format) return '';
         
-        // First, organize data by conversations
-        function traverse(obj, path = '') {
-            if (Array.isArray(obj)) {
-                // This might be a conversation (array of messages)
-                if (obj.length > 0 && obj[0].From) {
-                    // Extract conversation identifier from path or create one
-                    const conversationId = path || `conversation_${Object.keys(conversations).length}`;
-                    conversations[conversationId] = obj;
-                }
-                obj.forEach((item, index) => traverse(item, `${path}[${index}]`));
-            } else if (obj && typeof obj === 'object') {
-                Object.entries(obj).forEach(([key, value]) => {
-                    traverse(value, path ? `${path}.${key}` : key);
-                });
+        const example = format.example ? ` (e.g. <code>${HtmlUtils.escape(format.example)}</code>)` : '';
+        const mixed = format.mixed ? ' · some dates use other formats' : '';
+        let orderSwitch = '';
+        
+        if (format.hasSlashDates) {
+            orderSwitch = `
+                <select class="control-select date-order-select" data-date-order="${index}" title="Order of day and month in slash dates">
+                    <option value="dmy"${format.order === 'dmy' ? ' selected' : ''}>Day first (31/12)</option>
+                    <option value="mdy"${format.order === 'mdy' ? ' selected' : ''}>Month first (12/31)</option>
+                </select>
+                ${format.ambiguous ? '<span class="date-format-warning">⚠️ No day above 12 found, please check the order</span>' : ''}
+            `;
+        }
+        
+        let zoneSwitch = '';
+        if (format.timeZone) {
+            const zones = Array.from(document.getElementById('timezone-select').options)
+                .map(option => ({ value: option.value, label: option.textContent }));
+            if (!zones.some(zone => zone.value === format.timeZone)) {
+                zones.push({ value: format.timeZone, label: format.timeZone });
             }
+            
+            zoneSwitch = `
+                <div class="upload-file-detail">
+                    🕒 Local times read in
+                    <select class="control-select date-order-select" data-date-zone="${index}" title="Time zone of the phone or computer that made the export">
+                        ${zones.map(zone => `<option value="${HtmlUtils.escape(zone.value)}"${zone.value === format.timeZone ? ' selected' : ''}>${HtmlUtils.escape(zone.label)}</option>`).join('')}
+                    </select>
+                </div>
+            `;
         }
         
-        traverse(data);
+        return `<div class="upload-file-detail">📅 Dates read as ${HtmlUtils.escape(format.label)}${example}${mixed} ${orderSwitch}</div>${zoneSwitch}`;
+    }
+    
+    /**
+     * Combine the senders of every successfully imported file
+     * @returns {Object} Conversation name mapped to sender names
+     */
+    function getImportedSenders() {
+        const combined = {};
+        
+        for (const entry of window.appData.imports) {
+            if (!entry.summary) continue;
+            
+            for (const person in entry.summary.senders) {
+                combined[person] = (combined[person] || []).concat(entry.summary.senders[person]);
+            }
+        }
+        
+        return combined;
+    }
+    
+    /**
+     * Calculate sender presence across conversations
+     * @param {Object} conversations - Conversation name mapped to sender names
+     * @returns {Object} Sender presence statistics
+     */
+    function calculateSenderPresence(conversations) {
+        const senderCounts = {};
         
         // Count sender appearances across conversations
         for (const conversationId in conversations) {
-            const messages = conversations[conversationId];
-            const sendersInConvo = new Set();
-            
-            messages.forEach(msg => {
-                if (msg.From) {
-                    sendersInConvo.add(msg.From);
-                }
-            });
+            const sendersInConvo = new Set(conversations[conversationId].filter(Boolean));
             
             // Increment count for each sender found in this conversation
             sendersInConvo.forEach(sender => {
@@ -242,113 +652,88 @@ function setupFileUpload() {
     }
     
     /**
-     * Extract all unique sender names from data
+     * Extract all unique sender names
+     * @param {Object} conversations - Conversation name mapped to sender names
+     * @returns {Array} Sorted sender names
      */
-    function extractAllSenders(data) {
+    function extractAllSenders(conversations) {
         const senders = new Set();
         
-        function traverse(obj) {
-            if (Array.isArray(obj)) {
-                obj.forEach(item => {
-                    if (item && item.From) {
-                        senders.add(item.From);
-                    }
-                    traverse(item);
-                });
-            } else if (obj && typeof obj === 'object') {
-                Object.values(obj).forEach(value => traverse(value));
-            }
+        for (const person in conversations) {
+            conversations[person].filter(Boolean).forEach(sender => senders.add(sender));
         }
         
-        traverse(data);
         return Array.from(senders).sort();
     }
 }
 
 /**
- * Set up timezone selector
+ * Load the sender names picked as "you" in earlier sessions
+ * @returns {Array} Identity names
  */
-function setupTimezoneSelector() {
-    const timezoneSelect = document.getElementById('timezone-select');
-    
-    // Common timezone options
-    const timezones = [
-        { value: 0, label: 'UTC (GMT+0)' },
-        { value: -12, label: 'Baker Island (GMT-12)' },
-        { value: -11, label: 'Samoa (GMT-11)' },
-        { value: -10, label: 'Hawaii (GMT-10)' },
-        { value: -9, label: 'Alaska (GMT-9)' },
-        { value: -8, label: 'Pacific Time (GMT-8)' },
-        { value: -7, label: 'Mountain Time (GMT-7)' },
-        { value: -6, label: 'Central Time (GMT-6)' },
-        { value: -5, label: 'Eastern Time (GMT-5)' },
-        { value: -4, label: 'Atlantic Time (GMT-4)' },
-        { value: -3, label: 'Brasília (GMT-3)' },
-        { value: -2, label: 'South Georgia (GMT-2)' },
-        { value: -1, label: 'Azores (GMT-1)' },
-        { value: 1, label: 'Central European (GMT+1)' },
-        { value: 2, label: 'Eastern European (GMT+2)' },
-        { value: 3, label: 'Moscow (GMT+3)' },
-        { value: 4, label: 'Gulf Standard (GMT+4)' },
-        { value: 5, label: 'Pakistan (GMT+5)' },
-        { value: 6, label: 'Bangladesh (GMT+6)' },
-        { value: 7, label: 'Indochina/Vietnam (GMT+7)' },
-        { value: 8, label: 'China/Singapore (GMT+8)' },
-        { value: 9, label: 'Japan/Korea (GMT+9)' },
-        { value: 10, label: 'Australia East (GMT+10)' },
-        { value: 11, label: 'Solomon Islands (GMT+11)' },
-        { value: 12, label: 'New Zealand (GMT+12)' }
-    ];
-    
-    // Clear existing options
-    timezoneSelect.innerHTML = '';
-    
-    // Add timezone options
-    timezones.forEach(tz => {
-        const option = document.createElement('option');
-        option.value = tz.value;
-        option.textContent = tz.label;
-        timezoneSelect.appendChild(option);
-    });
+function loadSavedIdentities() {
+    try {
+        const identities = JSON.parse(SessionStore.getSetting('convohelper-identities') || '[]');
+        return Array.isArray(identities) ? identities.filter(name => typeof name === 'string') : [];
+    } catch (error) {
+        console.warn('Could not load saved identities:', error);
+        return [];
+    }
+}
+
+/**
+ * Remember the identities for the next upload
+ * Names that are not in this upload stay saved, so handles from other apps are kept
+ * @param {Array} identities - Identity names, in order
+ */
+function saveIdentities(identities) {
+    const senders = new Set(window.appData.allSenders);
+    const others = loadSavedIdentities().filter(name => !senders.has(name) && !identities.includes(name));
     
-    // Try to auto-detect user's timezone
     try {
-        const userOffset = -new Date().getTimezoneOffset() / 60; // Convert to hours and flip sign
-        const matchingTimezone = timezones.find(tz => tz.value === userOffset);
-        
-        if (matchingTimezone) {
-            timezoneSelect.value = userOffset;
-            window.convoHelper.timezoneOffset = userOffset;
-            console.log(`Auto-detected timezone: GMT${userOffset >= 0 ? '+' : ''}${userOffset}`);
-        }
+        SessionStore.setSetting('convohelper-identities', JSON.stringify(identities.concat(others)));
     } catch (error) {
-        console.warn('Could not auto-detect timezone:', error);
+        console.warn('Could not save identities:', error);
     }
 }
 
+/**
+ * Show only the sender names that match the identity filter
+ */
+function filterIdentities() {
+    const query = document.getElementById('identity-filter').value.trim().toLowerCase();
+    
+    document.querySelectorAll('#identity-list .identity-option').forEach(option => {
+        const name = option.querySelector('input').value.toLowerCase();
+        option.classList.toggle('hidden', query !== '' && !name.includes(query));
+    });
+}
+
 /**
  * Set up event listeners
  */
 function setupEventListeners() {
-    // Timezone selector
-    document.getElementById('timezone-select').addEventListener('change', (e) => {
-        const offset = parseInt(e.target.value);
-        window.convoHelper.timezoneOffset = offset;
-        const sign = offset >= 0 ? '+' : '';
-        UI.showToast(`Timezone set to GMT${sign}${offset}`);
-        console.log('Timezone offset updated:', offset);
-    });
-    
-    // Identity selector
-    document.getElementById('identity-select').addEventListener('change', (e) => {
-        window.appData.userIdentity = e.target.value;
-        if (e.target.value) {
-            UI.showToast(`Identity set to: ${e.target.value}`);
+    // Identity selector: tick every name you used
+    document.getElementById('identity-list').addEventListener('change', () => {
+        const checked = Array.from(document.querySelectorAll('#identity-list input:checked'), input => input.value);
+        
+        // Keep the order names were picked in; the first one names all of them
+        const previous = window.appData.userIdentities.filter(name => checked.includes(name));
+        window.appData.userIdentities = previous.concat(checked.filter(name => !previous.includes(name)));
+        saveIdentities(window.appData.userIdentities);
+        
+        if (window.appData.userIdentities.length > 0) {
+            UI.showToast(`Identity set to: ${window.appData.userIdentities.join(', ')}`);
         }
+        SessionStore.saveSettings();
     });
+    document.getElementById('identity-filter').addEventListener('input', filterIdentities);
     
     // Process button
     document.getElementById('btn-process').addEventListener('click', processData);
+    document.getElementById('btn-cancel-processing').addEventListener('click', () => {
+        Pipeline.cancel();
+    });
     
     // Navigation buttons
     document.getElementById('btn-back-overview').addEventListener('click', () => {
@@ -389,70 +774,139 @@ function setupEventListeners() {
 
 /**
  * Process uploaded data
+ * Runs in the pipeline worker (see Pipeline); the progress bar follows the conversations done
  */
 async function processData() {
     // Validate identity selection
-    if (!window.appData.userIdentity) {
+    if (window.appData.userIdentities.length === 0) {
         UI.showToast('Please select your identity first');
         return;
     }
+    if (window.appData.imports.some(entry => entry.pending)) {
+        UI.showToast('Please wait until all files are read');
+        return;
+    }
+    saveIdentities(window.appData.userIdentities);
     
     UI.navigateTo('processing');
+    UI.resetSteps();
     UI.updateProgress(0, '0%');
     
     try {
-        // Step 1: Parse JSON
+        // Step 1: Check imported data
         UI.updateStep('parse', 'active');
-        UI.updateProgress(20, '20% - Parsing JSON...');
-        await sleep(300);
-        
-        const data = Parser.parseJSON(window.appData.rawData);
+        const imports = window.appData.imports.filter(entry => entry.summary);
+        if (imports.length === 0) {
+            throw new Error('No imported data to process');
+        }
         UI.updateStep('parse', 'complete');
         
-        // Step 2: Extract conversations
-        UI.updateStep('extract', 'active');
-        UI.updateProgress(40, '40% - Extracting conversations...');
-        await sleep(300);
+        // Steps 2 to 5: extract, cluster and group each conversation, then generate stats
+        const result = await Pipeline.run('processImports', {
+            importIds: imports.map(entry => entry.importId),
+            contactEdits: window.convoHelper.contactEdits
+        }, showProcessingProgress);
         
-        window.appData.conversations = Parser.extractConversations(data);
-        UI.updateStep('extract', 'complete');
-        
-        // Step 3: Cluster by weeks
-        UI.updateStep('cluster', 'active');
-        UI.updateProgress(60, '60% - Clustering by weeks...');
-        await sleep(300);
-        
-        // Step 4: Group into months
-        UI.updateStep('group', 'active');
-        UI.updateProgress(80, '80% - Grouping into months...');
-        await sleep(300);
-        
-        window.appData.processed = Processor.processConversations(window.appData.conversations);
-        UI.updateStep('cluster', 'complete');
-        UI.updateStep('group', 'complete');
-        
-        // Step 5: Generate stats
-        UI.updateStep('stats', 'active');
+        imports.forEach((entry, index) => {
+            entry.added = result.added[index];
+        });
+        const appData = window.appData;
+        applyProcessResult(result);
         UI.updateProgress(100, '100% - Complete!');
-        await sleep(300);
-        
-        window.appData.overviewStats = Stats.generateOverviewStats(window.appData.processed);
-        window.appData.enhancedOverviewStats = StatsGeneral.generateEnhancedOverviewStats(window.appData.processed);
-        UI.updateStep('stats', 'complete');
         
         // Navigate to overview
-        await sleep(500);
         UI.navigateTo('overview');
         UI.populateOverview(window.appData.overviewStats);
-        UI.showToast('Processing complete!');
         
+        // Show how many new messages each file contributed
+        const mergeSummary = document.getElementById('merge-summary');
+        if (imports.length > 1) {
+            mergeSummary.innerHTML = `🔗 Merged ${imports.length} files: ` + imports
+                .map(entry => `${HtmlUtils.escape(entry.fileName)} (+${entry.added.toLocaleString()})`)
+                .join(', ');
+            mergeSummary.classList.remove('hidden');
+            UI.showToast(`Merged ${imports.length} files, ${countMessages(appData.importedConversations).toLocaleString()} unique messages`);
+        } else {
+            mergeSummary.classList.add('hidden');
+            UI.showToast('Processing complete!');
+        }
+        
+        // Keep the result for the next visit (see "Recent Datasets" on the upload page)
+        SessionStore.saveDataset();
+    
     } catch (error) {
-        console.error('Processing error:', error);
-        UI.showToast('Error processing data: ' + error.message);
+        if (error.cancelled) {
+            UI.showToast('Processing cancelled');
+        } else {
+            console.error('Processing error:', error);
+            UI.showToast('Error processing data: ' + error.message);
+        }
         UI.navigateTo('upload');
     }
 }
 
+/**
+ * Forget the files of this session, e.g. when a saved dataset replaces the data
+ */
+function clearImports() {
+    window.appData.imports.forEach(entry => {
+        Pipeline.run('dropImport', { importId: entry.importId })
+            .catch(error => console.warn('Could not drop the import:', error));
+    });
+    window.appData.imports = [];
+}
+
+/**
+ * Put the result of PipelineTasks.processImports in the app data
+ * @param {Object} result - Task result
+ */
+function applyProcessResult(result) {
+    const appData = window.appData;
+    appData.importedConversations = result.importedConversations;
+    appData.importedConversationInfo = result.importedConversationInfo;
+    appData.conversations = result.conversations;
+    appData.conversationInfo = result.conversationInfo;
+    appData.contactEditResults = result.contactEditResults;
+    appData.processed = result.processed;
+    appData.overviewStats = result.overviewStats;
+    appData.enhancedOverviewStats = result.enhancedOverviewStats;
+}
+
+/**
+ * Show the progress of the processing pipeline
+ * Extracting takes most of the time, so it fills the bar up to 60%, clustering up to 90%
+ * @param {string} step - Pipeline step: extract, cluster or stats
+ * @param {number} done - Conversations done in this step
+ * @param {number} total - Conversations in this step
+ * @param {string} label - Conversation being worked on
+ */
+function showProcessingProgress(step, done, total, label) {
+    const ranges = {
+        extract: [5, 60, 'Extracting messages'],
+        cluster: [60, 90, 'Clustering and grouping'],
+        stats: [90, 100, 'Generating statistics']
+    };
+    if (!ranges[step]) return;
+    
+    const [from, to, text] = ranges[step];
+    const percentage = Math.round(from + (to - from) * (total > 0 ? done / total : 1));
+    const count = step === 'stats' ? '' : ` (${done.toLocaleString()}/${total.toLocaleString()})`;
+    UI.updateProgress(percentage, `${percentage}% - ${text}${count}${label ? `: ${label}` : ''}`);
+    
+    // The clustering step fills both the "Clustering" and "Grouping" rows
+    const steps = { extract: ['extract'], cluster: ['cluster', 'group'], stats: ['stats'] }[step];
+    steps.forEach(name => UI.updateStep(name, done === total ? 'complete' : 'active'));
+}
+
+/**
+ * Count the messages of parsed conversations
+ * @param {Object} conversations - Person name mapped to messages
+ * @returns {number} Message count
+ */
+function countMessages(conversations) {
+    return Object.values(conversations).reduce((total, messages) => total + messages.length, 0);
+}
+
 /**
  * Show export preview
  */
@@ -467,12 +921,23 @@ function showPreview() {
     
     const data = window.appData.processed[UI.currentPerson];
     const selectedArray = Array.from(UI.selectedWeeks);
-    const preview = Exporter.generatePreview(UI.currentPerson, data, selectedArray);
+    const preview = Exporter.generatePreview(UI.currentPerson, data, selectedArray, getExportOptions());
     
     content.innerHTML = preview;
     container.classList.remove('hidden');
 }
 
+/**
+ * Read the export options from the export page
+ * @returns {Object} Export options
+ */
+function getExportOptions() {
+    const contentMode = document.querySelector('input[name="export-content"]:checked');
+    return {
+        contentMode: contentMode ? contentMode.value : 'cleaned'
+    };
+}
+
 /**
  * Export conversation to ZIP
  */
@@ -488,22 +953,14 @@ async function exportConversation() {
         const data = window.appData.processed[UI.currentPerson];
         const selectedArray = Array.from(UI.selectedWeeks);
         
-        const blob = await Exporter.exportToZip(UI.currentPerson, data, selectedArray);
+        const blob = await Exporter.exportToZip(UI.currentPerson, data, selectedArray, getExportOptions());
         const filename = `${UI.currentPerson}_export.zip`;
         
         Exporter.downloadBlob(blob, filename);
         UI.showToast('Export complete!');
-        
+    
     } catch (error) {
         console.error('Export error:', error);
         UI.showToast('Error exporting: ' + error.message);
     }
 }
-
-/**
- * Sleep utility for UI delays
- * @param {number} ms - Milliseconds to sleep
- */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
@@ -9,8 +9,9 @@ const ChartsHeatmap = {
      * Shows message activity by hour of day (0-23) and day of week (Sun-Sat)
      * @param {string} canvasId - Canvas element ID
      * @param {Array} messages - Array of messages
+     * @param {string} timeLabel - Added to tooltips, e.g. "their time" (optional)
      */
-    createHourDayWeekHeatmap(canvasId, messages) {
+    createHourDayWeekHeatmap(canvasId, messages, timeLabel = '') {
         const canvas = document.getElementById(canvasId);
         if (!canvas) return;
         
@@ -26,9 +27,8 @@ const ChartsHeatmap = {
         
         // Count messages for each hour-day combination
         for (const msg of messages) {
-            const date = new Date(msg.timestamp);
-            const dayOfWeek = date.getDay(); // 0 = Sunday, 6 = Saturday
-            const hour = date.getHours();
+            const dayOfWeek = msg.dayOfWeek; // 0 = Sunday, 6 = Saturday
+            const hour = msg.hour;
             heatmapData[dayOfWeek][hour]++;
         }
         
@@ -87,7 +87,7 @@ const ChartsHeatmap = {
                         callbacks: {
                             title: function(context) {
                                 const point = context[0].raw;
-                                return `${dayNames[point.y]} ${point.x}:00`;
+                                return `${dayNames[point.y]} ${point.x}:00${timeLabel ? ` ${timeLabel}` : ''}`;
                             },
                             label: function(context) {
                                 return `${context.raw.value} messages`;
@@ -164,7 +164,7 @@ const ChartsHeatmap = {
         // Get unique months from messages
         const monthsSet = new Set();
         for (const msg of messages) {
-            const date = new Date(msg.timestamp);
+            const date = msg.date; // Wall-clock time in the selected timezone
             const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
             monthsSet.add(monthKey);
         }
@@ -179,7 +179,7 @@ const ChartsHeatmap = {
         
         // Count messages for each month-day combination
         for (const msg of messages) {
-            const date = new Date(msg.timestamp);
+            const date = msg.date; // Wall-clock time in the selected timezone
             const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
             const day = date.getDate() - 1; // 0-indexed
             if (heatmapData[monthKey]) {
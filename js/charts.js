@@ -138,8 +138,9 @@ const Charts = {
      * Create hourly activity chart
      * @param {string} canvasId - Canvas element ID
      * @param {Array} byHour - Messages by hour (0-23)
+     * @param {Array} theirByHour - Same messages by hour in the contact's time zone (optional)
      */
-    createHourlyChart(canvasId, byHour) {
+    createHourlyChart(canvasId, byHour, theirByHour = null) {
         const ctx = document.getElementById(canvasId);
         if (!ctx) return;
         
@@ -154,16 +155,20 @@ const Charts = {
             data: {
                 labels: labels,
                 datasets: [{
-                    label: 'Messages',
+                    label: theirByHour ? 'Your time' : 'Messages',
                     data: byHour,
                     backgroundColor: '#4facfe'
-                }]
+                }, ...(theirByHour ? [{
+                    label: 'Their time',
+                    data: theirByHour,
+                    backgroundColor: '#f5576c'
+                }] : [])]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: true,
                 plugins: {
-                    legend: { display: false }
+                    legend: { display: !!theirByHour }
                 },
                 scales: {
                     y: { beginAtZero: true }
@@ -514,5 +519,95 @@ const Charts = {
                 }
             }
         });
+    },
+    
+    // ========================================
+    // GROUP CHATS
+    // ========================================
+    
+    /**
+     * Create a horizontal bar chart of each member's share of a group's messages
+     * @param {string} canvasId - Canvas element ID
+     * @param {Array} memberShare - Members with name and count, most messages first
+     * @param {number} limit - Number of members to show
+     */
+    createMemberShareChart(canvasId, memberShare, limit = 15) {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+        
+        if (this.instances[canvasId]) {
+            this.instances[canvasId].destroy();
+        }
+        
+        const top = memberShare.slice(0, limit);
+        
+        this.instances[canvasId] = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: top.map(m => m.name),
+                datasets: [{
+                    label: 'Messages',
+                    data: top.map(m => m.count),
+                    backgroundColor: '#667eea'
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false }
+                },
+                scales: {
+                    x: { beginAtZero: true }
+                }
+            }
+        });
+    },
+    
+    /**
+     * Create a line chart of hourly activity with one line per member
+     * @param {string} canvasId - Canvas element ID
+     * @param {Object} hourlyByMember - Member name mapped to 24 hourly counts
+     * @param {Array} members - Members to show, in legend order
+     */
+    createMemberHourlyChart(canvasId, hourlyByMember, members) {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+        
+        if (this.instances[canvasId]) {
+            this.instances[canvasId].destroy();
+        }
+        
+        const colors = [
+            '#667eea', '#f5576c', '#4facfe', '#fee140', '#764ba2',
+            '#30cfd0', '#fa709a', '#f093fb', '#00f2fe', '#330867'
+        ];
+        
+        this.instances[canvasId] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: Array.from({length: 24}, (_, i) => `${i}:00`),
+                datasets: members.map((name, i) => ({
+                    label: name,
+                    data: hourlyByMember[name] || new Array(24).fill(0),
+                    borderColor: colors[i % colors.length],
+                    backgroundColor: colors[i % colors.length],
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    tension: 0.3
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
+                    legend: { position: 'bottom' }
+                },
+                scales: {
+                    y: { beginAtZero: true }
+                }
+            }
+        });
     }
 };
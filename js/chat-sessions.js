@@ -0,0 +1,242 @@
+/**
+ * Chat Sessions Module
+ * The Sessions panel on the individual page: the conversation split into chat sessions
+ * (see Processor.splitIntoSessions), with a reader to open one
+ */
+
+const ChatSessions = {
+    storageKey: 'convohelper-session-gap',
+    gapOptions: [15, 30, 60, 120, 180, 360, 720, 1440],  // Minutes
+    pageSize: 50,
+    messages: [],  // Messages of the conversation on the individual page
+    sessions: [],
+    shown: 0,
+    
+    init() {
+        window.convoHelper = window.convoHelper || {};
+        window.convoHelper.sessionGapMinutes = this.load();
+        
+        const select = document.getElementById('session-gap-select');
+        if (!select) return;
+        
+        select.innerHTML = this.gapOptions
+            .map(minutes => `<option value="${minutes}">${this.formatDuration(minutes)}</option>`)
+            .join('');
+        select.value = window.convoHelper.sessionGapMinutes;
+        select.addEventListener('change', (e) => this.setGap(parseInt(e.target.value)));
+        
+        document.getElementById('session-list').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-session]');
+            if (item) {
+                this.open(parseInt(item.dataset.session));
+            }
+        });
+        document.getElementById('btn-more-sessions').addEventListener('click', () => {
+            this.renderList(this.shown + this.pageSize);
+        });
+        document.getElementById('btn-close-session').addEventListener('click', () => this.close());
+    },
+    
+    /**
+     * Load the saved inactivity gap
+     * @returns {number} Gap in minutes
+     */
+    load() {
+        try {
+            const minutes = parseInt(localStorage.getItem(this.storageKey));
+            return this.gapOptions.includes(minutes) ? minutes : Processor.defaultSessionGapMinutes;
+        } catch (error) {
+            console.warn('Could not load the session gap:', error);
+            return Processor.defaultSessionGapMinutes;
+        }
+    },
+    
+    /**
+     * Use a new inactivity gap, save it and split the open conversation again
+     * @param {number} minutes - Gap in minutes
+     */
+    setGap(minutes) {
+        window.convoHelper.sessionGapMinutes = minutes;
+        try {
+            localStorage.setItem(this.storageKey, String(minutes));
+        } catch (error) {
+            console.warn('Could not save the session gap:', error);
+        }
+        SessionStore.saveSettings();
+        
+        if (UI.currentPerson) {
+            UI.viewPerson(UI.currentPerson);
+        }
+    },
+    
+    /**
+     * Show the gap chosen in the saved settings of a dataset, without saving it for new uploads
+     * @param {number} minutes - Gap in minutes
+     */
+    showGap(minutes) {
+        window.convoHelper.sessionGapMinutes = minutes;
+        
+        const select = document.getElementById('session-gap-select');
+        if (select) {
+            select.value = minutes;
+        }
+    },
+    
+    /**
+     * Show the sessions of the conversation on the individual page
+     * @param {Array} messages - Messages of the conversation
+     * @param {Array} sessions - Sessions from Processor.splitIntoSessions
+     * @param {Object} stats - Summary from StatsIndividual.calculateSessionStats
+     */
+    render(messages, sessions, stats) {
+        if (!document.getElementById('session-list')) return;
+        
+        this.messages = messages;
+        this.sessions = sessions;
+        
+        document.getElementById('session-count').textContent = stats.count.toLocaleString();
+        document.getElementById('session-median').textContent = this.formatDuration(stats.medianDuration);
+        document.getElementById('session-average-messages').textContent = stats.averageMessages.toFixed(1);
+        document.getElementById('session-opened-by-you').textContent = stats.count > 0
+            ? `${((stats.openedByYou / stats.count) * 100).toFixed(1)}%`
+            : '-';
+        
+        this.close();
+        this.renderList(this.pageSize);
+    },
+    
+    /**
+     * List the newest sessions
+     * @param {number} count - How many sessions to list
+     */
+    renderList(count) {
+        const list = document.getElementById('session-list');
+        const newestFirst = this.sessions.slice().reverse();
+        this.shown = Math.min(count, newestFirst.length);
+        
+        if (newestFirst.length === 0) {
+            list.innerHTML = '<p class="no-data">No sessions</p>';
+        } else {
+            list.innerHTML = newestFirst.slice(0, this.shown).map(session => `
+                <button class="session-item" data-session="${session.index}">
+                    <span class="session-item-count">${session.messageCount.toLocaleString()} msgs</span>
+                    <span class="session-item-info">
+                        <span class="session-item-time">${this.formatRange(session)}</span>
+                        <span class="session-item-meta">${this.formatDuration(session.duration)} · opened by ${HtmlUtils.escape(this.formatSender(session.openedBy, session.openedByYou))} · closed by ${HtmlUtils.escape(this.formatSender(session.closedBy, session.closedByYou))}</span>
+                    </span>
+                </button>
+            `).join('');
+        }
+        
+        const more = document.getElementById('btn-more-sessions');
+        more.textContent = `Show More (${(newestFirst.length - this.shown).toLocaleString()} older)`;
+        more.classList.toggle('hidden', this.shown >= newestFirst.length);
+    },
+    
+    /**
+     * Open a session to read it
+     * @param {number} index - Session index
+     */
+    open(index) {
+        const session = this.sessions[index];
+        if (!session) return;
+        
+        const userSenders = Processor.getUserSenders(this.messages);
+        let day = null;
+        const rows = Processor.getSessionMessages(this.messages, session).map(msg => {
+            // Sessions can run past midnight
+            const { day: msgDay, time } = this.getWallClock(msg);
+            const dayHeader = msgDay !== day ? `<div class="session-day">${msgDay}</div>` : '';
+            day = msgDay;
+            
+            const side = userSenders.has(msg.from) ? 'you' : 'them';
+            return `${dayHeader}
+                <div class="session-message session-message-${side}">
+                    <span class="session-message-time">${time}</span>
+                    <span class="session-message-from">${HtmlUtils.escape(Processor.getSenderName(msg.from))}</span>
+                    <span class="session-message-text">${HtmlUtils.escape(Exporter.getMessageText(msg, 'cleaned'))}</span>
+                </div>
+            `;
+        });
+        
+        document.getElementById('session-reader-title').textContent =
+            `${this.formatRange(session)} · ${session.messageCount.toLocaleString()} messages · ${this.formatDuration(session.duration)}`;
+        document.getElementById('session-messages').innerHTML = rows.join('');
+        document.getElementById('session-browser').classList.add('hidden');
+        document.getElementById('session-reader').classList.remove('hidden');
+        document.getElementById('session-messages').scrollTop = 0;
+    },
+    
+    /**
+     * Close the reader and go back to the list
+     */
+    close() {
+        document.getElementById('session-reader').classList.add('hidden');
+        document.getElementById('session-browser').classList.remove('hidden');
+    },
+    
+    /**
+     * Format when a session ran, e.g. "March 3, 2024 21:04 - 23:10"
+     * @param {Object} session - Session
+     * @returns {string} Date and times
+     */
+    formatRange(session) {
+        const start = this.getWallClock(this.messages[session.startIndex]);
+        const end = this.getWallClock(this.messages[session.endIndex]);
+        
+        return end.day === start.day
+            ? `${start.day} ${start.time} - ${end.time}`
+            : `${start.day} ${start.time} - ${end.day} ${end.time}`;
+    },
+    
+    /**
+     * Get the day and time of a message in the time zone its date fields were computed in
+     * @param {Object} msg - Parsed message
+     * @returns {Object} day (e.g. "March 3, 2024") and time (e.g. "21:04")
+     */
+    getWallClock(msg) {
+        const parts = Parser.getZonedParts(msg.timestamp, msg.timezone);
+        
+        return {
+            day: Parser.formatDate(new Date(parts.year, parts.month, parts.day)),
+            time: `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`
+        };
+    },
+    
+    /**
+     * Format a number of minutes, e.g. "45 min", "2 h 5 min" or "1 d 3 h"
+     * @param {number} minutes - Minutes
+     * @returns {string} Duration
+     */
+    formatDuration(minutes) {
+        const rounded = Math.round(minutes);
+        if (rounded < 60) {
+            return `${rounded} min`;
+        }
+        if (rounded < 24 * 60) {
+            const hours = Math.floor(rounded / 60);
+            return rounded % 60 > 0 ? `${hours} h ${rounded % 60} min` : `${hours} h`;
+        }
+        
+        const days = Math.floor(rounded / (24 * 60));
+        const hours = Math.floor((rounded % (24 * 60)) / 60);
+        return hours > 0 ? `${days} d ${hours} h` : `${days} d`;
+    },
+    
+    /**
+     * Name a sender in the list, "you" for your identities
+     * @param {string} name - Sender name
+     * @param {boolean} isYou - Whether the sender is you
+     * @returns {string} Name to show
+     */
+    formatSender(name, isYou) {
+        return isYou ? 'you' : name;
+    }
+};
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => ChatSessions.init());
+} else {
+    ChatSessions.init();
+}
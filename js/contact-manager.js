@@ -0,0 +1,351 @@
+/**
+ * Contact Manager Module
+ * Merge, rename and split conversations, e.g. for a friend who changed handles
+ */
+
+const ContactManager = {
+    storageKey: 'convohelper-contact-edits',
+    
+    init() {
+        window.convoHelper = window.convoHelper || {};
+        window.convoHelper.contactEdits = this.load();
+        
+        const form = document.getElementById('contact-edits-form');
+        if (!form) return;
+        
+        document.getElementById('btn-merge-contacts').addEventListener('click', () => this.addMerge());
+        document.getElementById('btn-rename-contact').addEventListener('click', () => this.addRename());
+        document.getElementById('btn-split-contact').addEventListener('click', () => this.addSplit());
+        document.getElementById('contact-edits').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-edit]');
+            if (button) {
+                this.removeEdit(parseInt(button.dataset.removeEdit));
+            }
+        });
+        
+        this.render();
+    },
+    
+    /**
+     * Load saved edits
+     * @returns {Array} Edits in the order they are applied
+     */
+    load() {
+        try {
+            const edits = JSON.parse(SessionStore.getSetting(this.storageKey) || '[]');
+            return Array.isArray(edits) ? edits.filter(edit => edit && ['merge', 'rename', 'split'].includes(edit.type)) : [];
+        } catch (error) {
+            console.warn('Could not load contact edits:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * Save the edits and rebuild the processed data from the imported conversations
+     * @param {Array} edits - Edits in the order they are applied
+     */
+    save(edits) {
+        window.convoHelper.contactEdits = edits;
+        
+        try {
+            SessionStore.setSetting(this.storageKey, JSON.stringify(edits));
+        } catch (error) {
+            console.warn('Could not save contact edits:', error);
+        }
+        
+        this.rebuild();
+    },
+    
+    /**
+     * Apply the edits to the imported conversations and rebuild every view
+     */
+    rebuild() {
+        const appData = window.appData;
+        if (!appData || !appData.importedConversations || !appData.processed) {
+            this.render();
+            return;
+        }
+        
+        this.applyToAppData();
+        
+        // Contact timezone rules follow the new names, so re-project before processing
+        DateRangeFilter.reprojectData();
+    },
+    
+    /**
+     * Set window.appData.conversations and conversationInfo from the imported ones plus the edits
+     */
+    applyToAppData() {
+        const result = this.applyEdits(
+            window.appData.importedConversations,
+            window.appData.importedConversationInfo,
+            window.convoHelper.contactEdits || []
+        );
+        
+        window.appData.conversations = result.conversations;
+        window.appData.conversationInfo = result.conversationInfo;
+        window.appData.contactEditResults = result.results;
+    },
+    
+    /**
+     * Apply edits in order, without changing the given objects
+     * @param {Object} conversations - Person name mapped to parsed messages
+     * @param {Object} conversationInfo - Conversation name mapped to group details
+     * @param {Array} edits - Merge, rename and split edits
+     * @returns {Object} conversations, conversationInfo and results ({ applied, messages, duplicates } per edit)
+     */
+    applyEdits(conversations, conversationInfo, edits) {
+        const edited = { ...conversations };
+        const editedInfo = { ...conversationInfo };
+        
+        const results = edits.map(edit => {
+            if (edit.type === 'merge') {
+                return this.mergeInto(edited, editedInfo, edit.names, edit.name);
+            }
+            if (edit.type === 'rename') {
+                return this.mergeInto(edited, editedInfo, [edit.name], edit.newName);
+            }
+            return this.split(edited, editedInfo, edit);
+        });
+        
+        return { conversations: edited, conversationInfo: editedInfo, results: results };
+    },
+    
+    /**
+     * Move conversations into one, dropping messages that appear in more than one of them
+     * The same chat exported before and after a handle change has the same messages with
+     * different sender names, so duplicates are recognised by timestamp and content only
+     * @param {Object} conversations - Conversations, changed in place
+     * @param {Object} conversationInfo - Group details, changed in place
+     * @param {Array} names - Conversations to move
+     * @param {string} target - Conversation to move them into (may already exist)
+     * @returns {Object} Result with applied, messages and duplicates
+     */
+    mergeInto(conversations, conversationInfo, names, target) {
+        const sources = names.filter(name => name !== target && conversations[name]);
+        if (sources.length === 0) {
+            return { applied: false, messages: 0, duplicates: 0 };
+        }
+        
+        // Count keys as Parser.mergeMessages does, so repeats within one conversation are kept
+        const mergedKeys = new Map();
+        const getKey = (msg) => `${msg.timestamp}|${msg.content}`;
+        const messages = [];
+        let duplicates = 0;
+        
+        for (const name of [target, ...sources]) {
+            const added = [];
+            for (const msg of conversations[name] || []) {
+                const key = getKey(msg);
+                if (mergedKeys.get(key) > 0) {
+                    mergedKeys.set(key, mergedKeys.get(key) - 1);
+                    duplicates++;
+                    continue;
+                }
+                added.push(msg);
+            }
+            
+            for (const msg of added) {
+                mergedKeys.set(getKey(msg), (mergedKeys.get(getKey(msg)) || 0) + 1);
+            }
+            messages.push(...added);
+        }
+        
+        const info = {};
+        for (const name of sources) {
+            if (conversationInfo[name]) {
+                Parser.mergeConversationInfo({ [target]: conversationInfo[name] }, info);
+            }
+            delete conversations[name];
+            delete conversationInfo[name];
+        }
+        Parser.mergeConversationInfo(info, conversationInfo);
+        
+        conversations[target] = messages.sort((a, b) => a.timestamp - b.timestamp);
+        return { applied: true, messages: messages.length, duplicates: duplicates };
+    },
+    
+    /**
+     * Move the messages from a date on (UTC midnight, like timezone periods) into another conversation
+     * @param {Object} conversations - Conversations, changed in place
+     * @param {Object} conversationInfo - Group details, changed in place
+     * @param {Object} edit - Split edit with name, date (YYYY-MM-DD) and newName
+     * @returns {Object} Result with applied, messages (moved) and duplicates
+     */
+    split(conversations, conversationInfo, edit) {
+        const messages = conversations[edit.name];
+        const boundary = Date.parse(`${edit.date}T00:00:00Z`);
+        if (!messages || isNaN(boundary) || edit.newName === edit.name) {
+            return { applied: false, messages: 0, duplicates: 0 };
+        }
+        
+        const later = messages.filter(msg => msg.timestamp >= boundary);
+        const earlier = messages.filter(msg => msg.timestamp < boundary);
+        
+        if (earlier.length > 0) {
+            conversations[edit.name] = earlier;
+        } else {
+            delete conversations[edit.name];
+        }
+        
+        // Both parts keep the participants; member events go with their date
+        const info = conversationInfo[edit.name];
+        if (info) {
+            const isLater = (event) => Parser.parseDateString(event.Date) >= boundary;
+            conversationInfo[edit.name] = { ...info, events: info.events.filter(event => !isLater(event)) };
+            Parser.mergeConversationInfo({ [edit.newName]: { ...info, events: info.events.filter(isLater) } }, conversationInfo);
+        }
+        
+        if (later.length > 0) {
+            conversations[edit.newName] = (conversations[edit.newName] || []).concat(later).sort((a, b) => a.timestamp - b.timestamp);
+        }
+        return { applied: true, messages: later.length, duplicates: 0 };
+    },
+    
+    /**
+     * Merge the selected conversations from the form
+     */
+    addMerge() {
+        const names = Array.from(document.getElementById('contact-merge-select').selectedOptions, option => option.value);
+        const name = document.getElementById('contact-merge-name').value.trim() || names[0];
+        
+        if (names.length < 2) {
+            UI.showToast('Select at least two conversations to merge');
+            return;
+        }
+        
+        this.addEdit({ type: 'merge', names: names, name: name });
+    },
+    
+    /**
+     * Rename the selected conversation from the form
+     */
+    addRename() {
+        const name = document.getElementById('contact-rename-select').value;
+        const newName = document.getElementById('contact-rename-name').value.trim();
+        
+        if (!name || !newName || newName === name) {
+            UI.showToast('Choose a conversation and a new name');
+            return;
+        }
+        
+        this.addEdit({ type: 'rename', name: name, newName: newName });
+    },
+    
+    /**
+     * Split the selected conversation from the form
+     */
+    addSplit() {
+        const name = document.getElementById('contact-split-select').value;
+        const date = document.getElementById('contact-split-date').value;
+        const newName = document.getElementById('contact-split-name').value.trim() || `${name} (from ${date})`;
+        
+        if (!name || !date) {
+            UI.showToast('Choose a conversation and the date to split at');
+            return;
+        }
+        if (newName === name) {
+            UI.showToast('The later part needs a different name');
+            return;
+        }
+        
+        this.addEdit({ type: 'split', name: name, date: date, newName: newName });
+    },
+    
+    /**
+     * Append an edit and rebuild
+     * @param {Object} edit - Merge, rename or split edit
+     */
+    addEdit(edit) {
+        this.save([...window.convoHelper.contactEdits, edit]);
+        UI.showToast(this.describeEdit(edit));
+    },
+    
+    /**
+     * Remove an edit; later edits stay and are applied without it
+     * @param {number} index - Edit index
+     */
+    removeEdit(index) {
+        const edits = window.convoHelper.contactEdits.slice();
+        edits.splice(index, 1);
+        this.save(edits);
+    },
+    
+    /**
+     * Describe an edit, e.g. "Merged bob_old, bob into Bob"
+     * @param {Object} edit - Contact edit
+     * @returns {string} Description
+     */
+    describeEdit(edit) {
+        if (edit.type === 'merge') {
+            return `Merged ${edit.names.join(', ')} into ${edit.name}`;
+        }
+        if (edit.type === 'rename') {
+            return `Renamed ${edit.name} to ${edit.newName}`;
+        }
+        return `Split ${edit.name} on ${edit.date}: later messages go to ${edit.newName}`;
+    },
+    
+    /**
+     * Render the edit list and fill the contact selects with the current conversations
+     */
+    render() {
+        const container = document.getElementById('contact-edits');
+        if (!container) return;
+        
+        const contacts = Object.keys((window.appData && window.appData.conversations) || {}).sort();
+        
+        const mergeSelect = document.getElementById('contact-merge-select');
+        mergeSelect.innerHTML = '';
+        contacts.forEach(name => mergeSelect.appendChild(new Option(name, name)));
+        
+        for (const id of ['contact-rename-select', 'contact-split-select']) {
+            const select = document.getElementById(id);
+            const selected = select.value;
+            select.innerHTML = '<option value="">Choose a conversation</option>';
+            contacts.forEach(name => select.appendChild(new Option(name, name)));
+            select.value = contacts.includes(selected) ? selected : '';
+        }
+        
+        const edits = window.convoHelper.contactEdits || [];
+        if (edits.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const results = (window.appData && window.appData.contactEditResults) || [];
+        const describeResult = (result, edit) => {
+            if (!result) return 'Not applied yet';
+            if (!result.applied) return 'Conversation not found';
+            
+            const moved = edit.type === 'split' ? `${result.messages.toLocaleString()} messages moved` : `${result.messages.toLocaleString()} messages`;
+            return result.duplicates > 0 ? `${moved}, ${result.duplicates.toLocaleString()} duplicates dropped` : moved;
+        };
+        
+        container.innerHTML = `
+            <table class="csv-preview-table contact-edits-table">
+                <thead>
+                    <tr><th>Change</th><th>Result</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${edits.map((edit, index) => `
+                        <tr>
+                            <td>${HtmlUtils.escape(this.describeEdit(edit))}</td>
+                            <td>${describeResult(results[index], edit)}</td>
+                            <td><button class="btn-clear" data-remove-edit="${index}" title="Undo this change">✕</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+};
+
+// Initialize when DOM is ready; the pipeline worker loads this file for applyEdits only
+if (typeof document === 'undefined') {
+    // Web Worker: no page to set up
+} else if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => ContactManager.init());
+} else {
+    ContactManager.init();
+}
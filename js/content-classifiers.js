@@ -0,0 +1,204 @@
+/**
+ * Content Classifiers Module
+ * Built-in classifiers that give each message a type and subtype (see Parser.registerClassifier)
+ */
+
+const ContentClassifiers = {
+    mediaExtensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.mp4', '.mov', '.avi'],
+    
+    // Example: "[https://media.tenor.com/HtqnVrUcTecAAAAl/plink-cat-blink.webp]" --> "[Sticker: plink-cat-blink]"
+    // Example 2: "[https://media.tenor.com/YjLre9jqK4IAAAAl/h%E1%BA%A3-l%C3%A0-sao.webp]" --> "[Sticker: hả-là-sao]"
+    stickerUrlRegex: /\[https?:\/\/[^\]]*\/([^\/\]]+?)\.(webp|gif|png|jpg|jpeg)\]/g,
+    
+    // Example: "https://www.tiktokv.com/share/video/7555462846398631176/" --> "[Media: TikTok Video]"
+    tiktokVideoRegex: /https?:\/\/(?:www\.|m\.)?tiktok(?:v)?\.com\/(?:share\/video\/|@[\w.-]+\/video\/)(\d+)(?:[/?#&].*)?/gi,
+    
+    // Only emoji (with skin tones, flags, keycaps and ZWJ sequences) and whitespace
+    emojiOnlyRegex: /^(?:[\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Regional_Indicator}\u200D\uFE0F\u20E3]|\s)+$/u,
+    pictographRegex: /[\p{Extended_Pictographic}\p{Regional_Indicator}]/u,
+    
+    /**
+     * Get the links in a message, without trailing punctuation (see Parser.extractUrls)
+     * @param {string} content - Message content
+     * @returns {Array} Links
+     */
+    findLinks(content) {
+        return Parser.extractUrls(content);
+    },
+    
+    /**
+     * Shorten a link to its host and path, e.g. "[Link: open.spotify.com/track/123]"
+     * @param {string} link - Link
+     * @returns {string} Cleaned content
+     */
+    formatLink(link) {
+        try {
+            const url = new URL(link);
+            return `[Link: ${url.hostname}${url.pathname}]`;
+        } catch (error) {
+            return `[Link: ${link}]`;
+        }
+    },
+    
+    /**
+     * Build a classifier for links to one service
+     * @param {Object} definition - id, label, icon, pattern matching the link and
+     *   optional idPattern whose first group is the platform ID
+     * @returns {Object} Classifier
+     */
+    linkClassifier({ id, label, icon, pattern, idPattern = null }) {
+        const findLink = (content) => this.findLinks(content).find(candidate => pattern.test(candidate));
+        
+        return {
+            id: id,
+            type: 'link',
+            label: label,
+            icon: icon,
+            classify: (content) => {
+                const link = findLink(content);
+                return link ? this.formatLink(link) : null;
+            },
+            getId: (content) => {
+                const match = idPattern && (findLink(content) || '').match(idPattern);
+                return match ? match[1] : null;
+            }
+        };
+    },
+    
+    /**
+     * Build a classifier for "[Media: X]" placeholders written by importers
+     * @param {Object} definition - id, label, icon and pattern matching the whole placeholder
+     * @returns {Object} Classifier
+     */
+    placeholderClassifier({ id, label, icon, pattern }) {
+        return {
+            id: id,
+            type: 'media',
+            label: label,
+            icon: icon,
+            classify: (content) => pattern.test(content.trim()) ? content : null
+        };
+    },
+    
+    /**
+     * Register the built-in classifiers, most specific first
+     */
+    registerAll() {
+        Parser.registerClassifier({
+            id: 'sticker',
+            type: 'sticker',
+            label: 'Stickers',
+            icon: '😊',
+            classify: (content) => {
+                if (/^\[Sticker: [^\]]*\]/.test(content.trim())) {
+                    return content;
+                }
+                if (!new RegExp(this.stickerUrlRegex.source).test(content)) {
+                    return null;
+                }
+                return content.replace(this.stickerUrlRegex, (match, name) => {
+                    try {
+                        return `[Sticker: ${decodeURIComponent(name)}]`;
+                    } catch (error) {
+                        return `[Sticker: ${name}]`;
+                    }
+                });
+            }
+        });
+        
+        // Placeholders from importers, e.g. "[Media: Photo]" or "[Media: Voice Note]"
+        Parser.registerClassifier(this.placeholderClassifier({
+            id: 'photo', label: 'Photos', icon: '📷', pattern: /^\[Media: (Photo|Image)\]/i
+        }));
+        Parser.registerClassifier(this.placeholderClassifier({
+            id: 'voice-note', label: 'Voice notes', icon: '🎤', pattern: /^\[Media: (Voice Note|Voice Message|Audio)\]/i
+        }));
+        Parser.registerClassifier(this.placeholderClassifier({
+            id: 'video', label: 'Videos', icon: '🎬', pattern: /^\[Media: (Video|Video Message)\]/i
+        }));
+        Parser.registerClassifier(this.placeholderClassifier({
+            id: 'media', label: 'Other media', icon: '📎', pattern: /^\[Media: [^\]]*\]/
+        }));
+        
+        Parser.registerClassifier({
+            id: 'tiktok-video',
+            type: 'media',
+            label: 'TikTok videos',
+            icon: '📱',
+            classify: (content) => new RegExp(this.tiktokVideoRegex.source, 'i').test(content)
+                ? content.replace(this.tiktokVideoRegex, '[Media: TikTok Video]')
+                : null,
+            getId: (content) => {
+                const match = content.match(new RegExp(this.tiktokVideoRegex.source, 'i'));
+                return match ? match[1] : null;
+            }
+        });
+        
+        Parser.registerClassifier(this.linkClassifier({
+            id: 'tiktok-profile',
+            label: 'TikTok profiles',
+            icon: '👤',
+            pattern: /^https?:\/\/(?:www\.|m\.)?tiktok\.com\/@[\w.-]+\/?(?:[?#].*)?$/i,
+            idPattern: /\/@([\w.-]+)/
+        }));
+        Parser.registerClassifier(this.linkClassifier({
+            id: 'youtube',
+            label: 'YouTube videos',
+            icon: '▶️',
+            pattern: /^https?:\/\/(?:(?:www\.|m\.|music\.)?youtube\.com\/(?:watch|shorts\/|live\/)|youtu\.be\/)/i,
+            idPattern: /(?:[?&]v=|youtu\.be\/|\/shorts\/|\/live\/)([\w-]{6,})/
+        }));
+        Parser.registerClassifier(this.linkClassifier({
+            id: 'instagram-reel',
+            label: 'Instagram reels',
+            icon: '🎞️',
+            pattern: /^https?:\/\/(?:www\.)?instagram\.com\/reels?\//i,
+            idPattern: /\/reels?\/([\w-]+)/
+        }));
+        Parser.registerClassifier(this.linkClassifier({
+            id: 'spotify-track',
+            label: 'Spotify songs',
+            icon: '🎵',
+            pattern: /^https?:\/\/open\.spotify\.com\/(?:intl-[\w-]+\/)?track\//i,
+            idPattern: /\/track\/(\w+)/
+        }));
+        Parser.registerClassifier(this.linkClassifier({
+            id: 'google-maps',
+            label: 'Map locations',
+            icon: '📍',
+            pattern: /^https?:\/\/(?:(?:www\.)?google\.[a-z.]+\/maps|maps\.google\.[a-z.]+|maps\.app\.goo\.gl\/|goo\.gl\/maps\/)/i
+        }));
+        
+        // Links straight to an image or video file
+        Parser.registerClassifier({
+            id: 'media-link',
+            type: 'media',
+            label: 'Media links',
+            icon: '🖼️',
+            classify: (content) => this.findLinks(content).some(link =>
+                this.mediaExtensions.some(ext => link.toLowerCase().endsWith(ext))
+            ) ? content : null
+        });
+        
+        Parser.registerClassifier({
+            id: 'link',
+            type: 'link',
+            label: 'Other links',
+            icon: '🔗',
+            classify: (content) => {
+                const links = this.findLinks(content);
+                return links.length > 0 ? this.formatLink(links[0]) : null;
+            }
+        });
+        
+        Parser.registerClassifier({
+            id: 'emoji',
+            type: 'text',
+            label: 'Emoji-only messages',
+            icon: '😀',
+            classify: (content) => this.emojiOnlyRegex.test(content) && this.pictographRegex.test(content) ? content : null
+        });
+    }
+};
+
+ContentClassifiers.registerAll();
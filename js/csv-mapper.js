@@ -0,0 +1,167 @@
+/**
+ * CSV Mapper Module
+ * Upload page step for mapping CSV columns, choosing the date format and previewing rows
+ */
+
+const CsvMapper = {
+    previewRows: 5,
+    source: null,
+    onApply: null,
+    
+    fields: [
+        { key: 'date', selectId: 'csv-col-date' },
+        { key: 'from', selectId: 'csv-col-from' },
+        { key: 'content', selectId: 'csv-col-content' },
+        { key: 'conversation', selectId: 'csv-col-conversation', optional: true }
+    ],
+    
+    init() {
+        const panel = document.getElementById('csv-mapping');
+        if (!panel) return;
+        
+        document.getElementById('csv-date-formats').innerHTML = ImporterCSV.dateFormats
+            .map(format => `<option value="${format}"></option>`)
+            .join('');
+        
+        this.fields.forEach(field => {
+            document.getElementById(field.selectId).addEventListener('change', () => this.renderPreview());
+        });
+        document.getElementById('csv-date-format').addEventListener('input', () => this.renderPreview());
+        document.getElementById('btn-apply-mapping').addEventListener('click', () => this.apply());
+    },
+    
+    /**
+     * Show the mapping step for a CSV source
+     * @param {Object} source - CSV import source
+     * @param {Function} onApply - Called after the mapping is applied to the source
+     */
+    show(source, onApply) {
+        this.source = source;
+        this.onApply = onApply;
+        
+        const headers = ImporterCSV.getTable(source).headers;
+        const mapping = ImporterCSV.getMapping(source);
+        
+        this.fields.forEach(field => {
+            const select = document.getElementById(field.selectId);
+            const emptyLabel = field.optional ? '-- None (one conversation) --' : '-- Select column --';
+            
+            select.innerHTML = `<option value="">${emptyLabel}</option>` +
+                headers.map((header, index) =>
+                    `<option value="${index}">${HtmlUtils.escape(header || `Column ${index + 1}`)}</option>`
+                ).join('');
+            select.value = mapping[field.key] === null ? '' : String(mapping[field.key]);
+        });
+        
+        document.getElementById('csv-date-format').value = mapping.dateFormat || 'auto';
+        document.getElementById('csv-mapping').classList.remove('hidden');
+        
+        this.renderPreview();
+    },
+    
+    /**
+     * Hide the mapping step
+     */
+    hide() {
+        this.source = null;
+        this.onApply = null;
+        
+        const panel = document.getElementById('csv-mapping');
+        if (panel) {
+            panel.classList.add('hidden');
+        }
+    },
+    
+    /**
+     * Read the mapping from the form
+     * @returns {Object} Column mapping
+     */
+    readMapping() {
+        const mapping = {};
+        
+        this.fields.forEach(field => {
+            const value = document.getElementById(field.selectId).value;
+            mapping[field.key] = value === '' ? null : parseInt(value);
+        });
+        mapping.dateFormat = document.getElementById('csv-date-format').value.trim() || 'auto';
+        
+        return mapping;
+    },
+    
+    /**
+     * Show the first rows as they will be imported with the current mapping
+     */
+    renderPreview() {
+        if (!this.source) return;
+        
+        const container = document.getElementById('csv-preview');
+        const table = ImporterCSV.getTable(this.source);
+        const mapping = this.readMapping();
+        const cell = (row, index) => index === null ? '' : (row[index] || '');
+        
+        // In auto mode the format is detected from the whole column, as the import does
+        const autoFormat = mapping.date !== null && mapping.dateFormat === 'auto'
+            ? Parser.detectDateFormat({ preview: table.rows.map(row => ({ Date: cell(row, mapping.date).trim() })) }, this.source.dateOrder || null)
+            : null;
+        
+        const rows = table.rows.slice(0, this.previewRows).map(row => {
+            let date = mapping.date === null ? null : ImporterCSV.parseDate(row[mapping.date], mapping.dateFormat);
+            if (date && autoFormat) {
+                const timestamp = Parser.parseDateString(date, autoFormat.order);
+                date = isNaN(timestamp) ? null : Parser.formatTimestamp(timestamp);
+            }
+            const dateCell = date
+                ? HtmlUtils.escape(date)
+                : `<span class="csv-preview-error">⚠️ ${HtmlUtils.escape(cell(row, mapping.date)) || 'missing'}</span>`;
+            
+            return `
+                <tr>
+                    <td>${dateCell}</td>
+                    <td>${HtmlUtils.escape(cell(row, mapping.from))}</td>
+                    <td>${HtmlUtils.escape(cell(row, mapping.content))}</td>
+                    <td>${HtmlUtils.escape(cell(row, mapping.conversation))}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        container.innerHTML = `
+            <table class="csv-preview-table">
+                <thead>
+                    <tr><th>Date</th><th>From</th><th>Content</th><th>Conversation</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="selector-hint">Showing ${Math.min(this.previewRows, table.rows.length)} of ${table.rows.length} rows</p>
+        `;
+    },
+    
+    /**
+     * Apply the mapping to the source, optionally saving it for files with the same columns
+     */
+    apply() {
+        if (!this.source) return;
+        
+        const mapping = this.readMapping();
+        if (mapping.date === null || mapping.from === null || mapping.content === null) {
+            UI.showToast('Please map the Date, From and Content columns');
+            return;
+        }
+        
+        this.source.csvMapping = mapping;
+        
+        if (document.getElementById('csv-save-mapping').checked) {
+            ImporterCSV.saveMapping(ImporterCSV.getTable(this.source).headers, mapping);
+        }
+        
+        if (this.onApply) {
+            this.onApply();
+        }
+    }
+};
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => CsvMapper.init());
+} else {
+    CsvMapper.init();
+}
@@ -5,7 +5,17 @@
 
 const DateRangeFilter = {
     activeFilter: null,
-    currentTimezone: 'auto',
+    currentTimezone: 'UTC',
+    
+    // Used when the browser cannot list its time zones (Intl.supportedValuesOf)
+    fallbackTimezones: [
+        'Pacific/Honolulu', 'America/Anchorage', 'America/Los_Angeles', 'America/Denver',
+        'America/Chicago', 'America/New_York', 'America/Halifax', 'America/Sao_Paulo',
+        'Atlantic/Azores', 'Europe/London', 'Europe/Berlin', 'Europe/Paris', 'Europe/Athens',
+        'Europe/Moscow', 'Asia/Dubai', 'Asia/Karachi', 'Asia/Kolkata', 'Asia/Kathmandu',
+        'Asia/Dhaka', 'Asia/Bangkok', 'Asia/Ho_Chi_Minh', 'Asia/Shanghai', 'Asia/Singapore',
+        'Asia/Tokyo', 'Australia/Adelaide', 'Australia/Sydney', 'Pacific/Auckland'
+    ],
     
     init() {
         this.setupTimezoneSelector();
@@ -14,44 +24,27 @@ const DateRangeFilter = {
     },
     
     /**
-     * Setup timezone selector with common timezones
+     * Setup timezone selector with IANA time zones, defaulting to the browser's zone
      */
     setupTimezoneSelector() {
         const select = document.getElementById('timezone-select');
         if (!select) return;
         
-        const timezones = [
-            { value: 'auto', label: 'Auto (GMT+0)', offset: 0 },
-            { value: 'gmt-12', label: 'GMT-12', offset: -12 },
-            { value: 'gmt-11', label: 'GMT-11', offset: -11 },
-            { value: 'gmt-10', label: 'GMT-10 (Hawaii)', offset: -10 },
-            { value: 'gmt-9', label: 'GMT-9 (Alaska)', offset: -9 },
-            { value: 'gmt-8', label: 'GMT-8 (PST)', offset: -8 },
-            { value: 'gmt-7', label: 'GMT-7 (MST)', offset: -7 },
-            { value: 'gmt-6', label: 'GMT-6 (CST)', offset: -6 },
-            { value: 'gmt-5', label: 'GMT-5 (EST)', offset: -5 },
-            { value: 'gmt-4', label: 'GMT-4 (AST)', offset: -4 },
-            { value: 'gmt-3', label: 'GMT-3 (BRT)', offset: -3 },
-            { value: 'gmt-2', label: 'GMT-2', offset: -2 },
-            { value: 'gmt-1', label: 'GMT-1', offset: -1 },
-            { value: 'gmt+0', label: 'GMT+0 (UTC)', offset: 0 },
-            { value: 'gmt+1', label: 'GMT+1 (CET)', offset: 1 },
-            { value: 'gmt+2', label: 'GMT+2 (EET)', offset: 2 },
-            { value: 'gmt+3', label: 'GMT+3 (MSK)', offset: 3 },
-            { value: 'gmt+4', label: 'GMT+4 (GST)', offset: 4 },
-            { value: 'gmt+5', label: 'GMT+5', offset: 5 },
-            { value: 'gmt+6', label: 'GMT+6', offset: 6 },
-            { value: 'gmt+7', label: 'GMT+7 (ICT)', offset: 7 },
-            { value: 'gmt+8', label: 'GMT+8 (SGT)', offset: 8 },
-            { value: 'gmt+9', label: 'GMT+9 (JST)', offset: 9 },
-            { value: 'gmt+10', label: 'GMT+10 (AEST)', offset: 10 },
-            { value: 'gmt+11', label: 'GMT+11', offset: 11 },
-            { value: 'gmt+12', label: 'GMT+12 (NZST)', offset: 12 }
-        ];
+        const browserZone = this.getBrowserTimezone();
+        const zones = this.getTimezoneList();
+        if (!zones.includes(browserZone)) {
+            zones.push(browserZone);
+        }
+        
+        select.innerHTML = ['UTC', ...zones.filter(zone => zone !== 'UTC').sort()].map(zone => {
+            const suffix = zone === browserZone ? ' • your zone' : '';
+            return `<option value="${zone}">${this.formatTimezoneLabel(zone)}${suffix}</option>`;
+        }).join('');
         
-        select.innerHTML = timezones.map(tz => 
-            `<option value="${tz.value}">${tz.label}</option>`
-        ).join('');
+        this.currentTimezone = browserZone;
+        select.value = browserZone;
+        window.convoHelper = window.convoHelper || {};
+        window.convoHelper.timezone = browserZone;
         
         select.addEventListener('change', (e) => {
             this.currentTimezone = e.target.value;
@@ -60,43 +53,76 @@ const DateRangeFilter = {
     },
     
     /**
-     * Apply timezone conversion to all displayed dates
+     * Get the browser's IANA time zone
+     * @returns {string} Time zone name
      */
-    applyTimezone() {
-        const offset = this.getTimezoneOffset();
-        // Store offset for use in other modules
-        window.convoHelper = window.convoHelper || {};
-        window.convoHelper.timezoneOffset = offset;
-        
-        // Re-render current view with new timezone
-        if (window.currentPerson) {
-            // Re-render individual stats
-            if (typeof StatsIndividual !== 'undefined' && window.appData && window.appData.processed) {
-                const personData = window.appData.processed[window.currentPerson];
-                const stats = Stats.generatePersonStats(personData, window.appData.overviewStats.totalMessages);
-                const enhancedStats = StatsIndividual.generateEnhancedPersonStats(personData, window.appData.overviewStats.totalMessages);
-                UI.populateEnhancedIndividual(enhancedStats);
-            }
-        } else {
-            // Re-render overview stats
-            if (typeof StatsGeneral !== 'undefined' && window.appData && window.appData.processed) {
-                const enhanced = StatsGeneral.generateEnhancedOverviewStats(window.appData.processed);
-                window.appData.enhancedOverviewStats = enhanced;
-                UI.populateOverview(window.appData.overviewStats);
-                UI.populateEnhancedOverview(enhanced);
+    getBrowserTimezone() {
+        try {
+            const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            return zone && Parser.isValidTimezone(zone) ? zone : 'UTC';
+        } catch (error) {
+            console.warn('Could not auto-detect timezone:', error);
+            return 'UTC';
+        }
+    },
+    
+    /**
+     * Get all time zones the browser supports
+     * @returns {Array} IANA time zone names
+     */
+    getTimezoneList() {
+        if (typeof Intl.supportedValuesOf === 'function') {
+            try {
+                return Intl.supportedValuesOf('timeZone');
+            } catch (error) {
+                console.warn('Could not list time zones:', error);
             }
         }
+        return this.fallbackTimezones.filter(zone => Parser.isValidTimezone(zone));
+    },
+    
+    /**
+     * Label a zone with its current UTC offset, e.g. "Asia/Kolkata (GMT+5:30)"
+     * @param {string} zone - IANA time zone name
+     * @returns {string} Label
+     */
+    formatTimezoneLabel(zone) {
+        const offsetMinutes = Math.round(Parser.getZoneOffset(Date.now(), zone) / 60000);
+        const sign = offsetMinutes < 0 ? '-' : '+';
+        const hours = Math.floor(Math.abs(offsetMinutes) / 60);
+        const minutes = Math.abs(offsetMinutes) % 60;
+        const offset = minutes ? `${hours}:${String(minutes).padStart(2, '0')}` : `${hours}`;
         
-        UI.showToast(`Timezone changed to ${this.currentTimezone.toUpperCase()}`);
+        return `${zone.replace(/_/g, ' ')} (GMT${sign}${offset})`;
     },
     
     /**
-     * Get timezone offset in hours
+     * Apply the selected timezone to every message and rebuild all views
      */
-    getTimezoneOffset() {
-        if (this.currentTimezone === 'auto') return 0;
-        const match = this.currentTimezone.match(/gmt([+-]\d+)/);
-        return match ? parseInt(match[1]) : 0;
+    applyTimezone() {
+        // Store the zone for use in other modules
+        window.convoHelper = window.convoHelper || {};
+        window.convoHelper.timezone = this.currentTimezone;
+        
+        this.reprojectData();
+        UI.showToast(`Timezone changed to ${this.currentTimezone}`);
+    },
+    
+    /**
+     * Re-project processed messages into their time zones and rebuild all views
+     * Hour, day and week fields are baked into each message, so the week clusters,
+     * month groups and stats are rebuilt from scratch
+     */
+    reprojectData() {
+        if (!window.appData || !window.appData.conversations || !window.appData.processed) return;
+        
+        Parser.reprojectConversations(window.appData.conversations);
+        window.appData.processed = Processor.processConversations(window.appData.conversations, window.appData.conversationInfo);
+        window.appData.overviewStats = Stats.generateOverviewStats(window.appData.processed);
+        window.appData.enhancedOverviewStats = StatsGeneral.generateEnhancedOverviewStats(window.appData.processed);
+        
+        UI.refreshViews();
+        SessionStore.saveSettings();
     },
     
     /**
@@ -268,6 +294,25 @@ const DateRangeFilter = {
         
         // Re-render stats with filter
         this.refreshStats();
+        SessionStore.saveSettings();
+    },
+    
+    /**
+     * Restore a saved filter, e.g. when a dataset is reopened
+     * @param {Object|null} filter - { type, value } as in activeFilter, null for all time
+     */
+    restoreFilter(filter) {
+        if (!filter) {
+            this.clearFilter();
+            return;
+        }
+        
+        this.switchView(filter.type);
+        if (filter.type === 'custom') {
+            document.getElementById('range-start').value = filter.value.start;
+            document.getElementById('range-end').value = filter.value.end;
+        }
+        this.applyFilter(filter.type, filter.value);
     },
     
     /**
@@ -289,6 +334,7 @@ const DateRangeFilter = {
         
         // Re-render stats without filter
         this.refreshStats();
+        SessionStore.saveSettings();
     },
     
     /**
@@ -321,16 +367,16 @@ const DateRangeFilter = {
         const { type, value } = this.activeFilter;
         
         return messages.filter(msg => {
-            const date = new Date(msg.timestamp_ms);
+            // Compare wall-clock dates in the selected time zone
+            const msgMonth = `${msg.year}-${String(msg.month + 1).padStart(2, '0')}`;
             
             if (type === 'month') {
-                const msgMonth = date.toISOString().substring(0, 7);
                 return msgMonth === value;
             } else if (type === 'week') {
-                const msgWeek = this.getWeekString(date);
+                const msgWeek = this.getWeekString(msg.date);
                 return msgWeek === value;
             } else if (type === 'custom') {
-                const msgDate = date.toISOString().split('T')[0];
+                const msgDate = `${msgMonth}-${String(msg.day).padStart(2, '0')}`;
                 return msgDate >= value.start && msgDate <= value.end;
             }
             
@@ -9,9 +9,10 @@ const Exporter = {
      * @param {string} personName - Person name
      * @param {Object} processedData - Processed data for person
      * @param {Array} selectedWeeks - Array of selected week keys
+     * @param {Object} options - Export options (see generateWeekMarkdown)
      * @returns {Promise<Blob>} ZIP file blob
      */
-    async exportToZip(personName, processedData, selectedWeeks) {
+    async exportToZip(personName, processedData, selectedWeeks, options = {}) {
         const zip = new JSZip();
         const weekClusters = processedData.weekClusters;
         
@@ -19,7 +20,7 @@ const Exporter = {
             const week = weekClusters[weekKey];
             if (!week) continue;
             
-            const markdown = this.generateWeekMarkdown(personName, week);
+            const markdown = this.generateWeekMarkdown(personName, week, options);
             const filename = `${personName}_${weekKey}.md`;
             zip.file(filename, markdown);
         }
@@ -31,9 +32,10 @@ const Exporter = {
      * Generate Markdown for a single week
      * @param {string} personName - Person name
      * @param {Object} week - Week data
+     * @param {Object} options - contentMode: 'cleaned' (default, e.g. "[Link: host/path]") or 'original'
      * @returns {string} Markdown content
      */
-    generateWeekMarkdown(personName, week) {
+    generateWeekMarkdown(personName, week, options = {}) {
         const { year, week: weekNum, messages, dateRange } = week;
         
         let md = `# Conversation Export: ${personName}\n\n`;
@@ -59,8 +61,8 @@ const Exporter = {
             
             for (const msg of byDate[date]) {
                 const time = `${String(msg.hour).padStart(2, '0')}:${String(msg.date.getMinutes()).padStart(2, '0')}:${String(msg.date.getSeconds()).padStart(2, '0')}`;
-                md += `**${time}** - [**${msg.from}**]: `;
-                md += `${msg.content}\n\n`;
+                md += `**${time}** - [**${Processor.getSenderName(msg.from)}**]: `;
+                md += `${this.getMessageText(msg, options.contentMode)}\n\n`;
             }
         }
         
@@ -71,7 +73,8 @@ const Exporter = {
         // Count by sender
         const bySender = {};
         for (const msg of messages) {
-            bySender[msg.from] = (bySender[msg.from] || 0) + 1;
+            const sender = Processor.getSenderName(msg.from);
+            bySender[sender] = (bySender[sender] || 0) + 1;
         }
         for (const sender in bySender) {
             const percentage = ((bySender[sender] / messages.length) * 100).toFixed(1);
@@ -91,6 +94,15 @@ const Exporter = {
             md += `- **Empty Messages**: ${types.empty}\n`;
         }
         
+        // Break links and media down by what was shared, e.g. "Spotify songs: 42"
+        const subtypes = Stats.describeSubtypes(Stats.countSubtypes(messages));
+        if (subtypes.length > 0) {
+            md += `- **Shared**:\n`;
+            for (const subtype of subtypes) {
+                md += `  - ${subtype.icon} ${subtype.label}: ${subtype.count}\n`;
+            }
+        }
+        
         // Average per day
         const days = Math.ceil((dateRange.end - dateRange.start) / (1000 * 60 * 60 * 24)) || 1;
         md += `- **Average messages per day**: ${(messages.length / days).toFixed(1)}\n`;
@@ -102,6 +114,19 @@ const Exporter = {
         return md;
     },
     
+    /**
+     * Get the text to export for a message
+     * @param {Object} msg - Parsed message
+     * @param {string} contentMode - 'cleaned' or 'original'
+     * @returns {string} Message text
+     */
+    getMessageText(msg, contentMode = 'cleaned') {
+        if (contentMode === 'original' && msg.rawContent !== undefined) {
+            return msg.rawContent;
+        }
+        return msg.content;
+    },
+    
     /**
      * Download a blob as a file
      * @param {Blob} blob - File blob
@@ -123,9 +148,10 @@ const Exporter = {
      * @param {string} personName - Person name
      * @param {Object} processedData - Processed data
      * @param {Array} selectedWeeks - Selected week keys
+     * @param {Object} options - Export options (see generateWeekMarkdown)
      * @returns {string} HTML preview
      */
-    generatePreview(personName, processedData, selectedWeeks) {
+    generatePreview(personName, processedData, selectedWeeks, options = {}) {
         if (selectedWeeks.length === 0) {
             return '<p>No weeks selected</p>';
         }
@@ -137,7 +163,7 @@ const Exporter = {
             return '<p>Invalid selection</p>';
         }
         
-        const markdown = this.generateWeekMarkdown(personName, firstWeek);
+        const markdown = this.generateWeekMarkdown(personName, firstWeek, options);
         
         // Use marked.js to convert to HTML if available, otherwise show raw
         if (typeof marked !== 'undefined') {
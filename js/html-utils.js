@@ -0,0 +1,22 @@
+/**
+ * HTML Utilities Module
+ * Shared helpers for building markup from imported text (names, messages, file names)
+ */
+
+const HtmlUtils = {
+    /**
+     * Escape text for insertion into HTML, including quoted attribute values
+     * @param {*} text - Raw text; null and undefined become an empty string
+     * @returns {string} Escaped text
+     */
+    escape(text) {
+        if (text === undefined || text === null) return '';
+        
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+};
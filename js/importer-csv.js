@@ -0,0 +1,364 @@
+/**
+ * CSV Importer Module
+ * Reads CSV/TSV chat logs using a column mapping chosen on the upload page
+ */
+
+const ImporterCSV = {
+    id: 'csv',
+    name: 'CSV / TSV chat log',
+    extensions: ['.csv', '.tsv'],
+    localTime: true,  // Dates without a zone are the wall-clock time of whatever wrote the log
+    
+    storageKey: 'convohelper-csv-mappings',
+    
+    // Suggested date formats; any pattern using these tokens can be typed in
+    // YYYY YY MM M DD D HH H hh h mm ss A, or "unix" / "unix-ms" for epoch times
+    dateFormats: [
+        'auto',
+        'YYYY-MM-DD HH:mm:ss',
+        'DD/MM/YYYY HH:mm:ss',
+        'MM/DD/YYYY HH:mm:ss',
+        'DD.MM.YYYY HH:mm',
+        'MM/DD/YYYY hh:mm A',
+        'unix',
+        'unix-ms'
+    ],
+    
+    /**
+     * Check for a .csv or .tsv file
+     * @param {Object} source - Import source
+     * @returns {boolean} True if the source is a delimited text file
+     */
+    detect(source) {
+        return !source.entries && !!source.text && /\.(csv|tsv)$/i.test(source.fileName);
+    },
+    
+    /**
+     * Turn the rows into conversations using the source's column mapping
+     * @param {Object} source - Import source
+     * @param {Object} report - Validation report
+     * @returns {Object} Conversation name mapped to raw messages
+     */
+    normalize(source, report = Parser.createReport()) {
+        const table = this.getTable(source);
+        const mapping = this.getMapping(source);
+        
+        if (mapping.date === null || mapping.from === null || mapping.content === null) {
+            throw new Error('Map the Date, From and Content columns to import this file');
+        }
+        
+        const defaultName = source.fileName.replace(/\.(csv|tsv)$/i, '');
+        const conversations = {};
+        
+        table.rows.forEach((row, index) => {
+            const date = this.parseDate(row[mapping.date], mapping.dateFormat);
+            const from = (row[mapping.from] || '').trim();
+            
+            // Row numbers count the header as row 1, as spreadsheets do
+            if (!date || !from) {
+                Parser.addDroppedMessage(report, `row ${index + 2}`, !from ? 'Missing From' : 'Unparseable date');
+                return;
+            }
+            
+            let name = defaultName;
+            if (mapping.conversation !== null && row[mapping.conversation]) {
+                name = row[mapping.conversation].trim();
+            }
+            
+            if (!conversations[name]) {
+                conversations[name] = [];
+            }
+            conversations[name].push({
+                Date: date,
+                From: from,
+                Content: row[mapping.content] || ''
+            });
+        });
+        
+        return conversations;
+    },
+    
+    /**
+     * Get the parsed header and rows of a source (parsed once, then cached)
+     * @param {Object} source - Import source
+     * @returns {Object} { delimiter, headers, rows }
+     */
+    getTable(source) {
+        if (!source.table) {
+            const delimiter = this.detectDelimiter(source);
+            const rows = this.parseRows(source.text.replace(/^\uFEFF/, ''), delimiter)
+                .filter(row => row.some(cell => cell.trim() !== ''));
+            
+            source.table = {
+                delimiter: delimiter,
+                headers: rows.length > 0 ? rows[0].map(header => header.trim()) : [],
+                rows: rows.slice(1)
+            };
+        }
+        return source.table;
+    },
+    
+    /**
+     * Pick the delimiter: tab for .tsv, otherwise the most frequent candidate in the header
+     * @param {Object} source - Import source
+     * @returns {string} Delimiter
+     */
+    detectDelimiter(source) {
+        if (/\.tsv$/i.test(source.fileName)) return '\t';
+        
+        const header = source.text.split(/\r?\n/)[0] || '';
+        const counts = [',', ';', '\t'].map(delimiter => ({
+            delimiter: delimiter,
+            count: header.split(delimiter).length - 1
+        }));
+        counts.sort((a, b) => b.count - a.count);
+        
+        return counts[0].count > 0 ? counts[0].delimiter : ',';
+    },
+    
+    /**
+     * Split delimited text into rows, honouring quoted fields with "" escapes and line breaks
+     * @param {string} text - File content
+     * @param {string} delimiter - Field delimiter
+     * @returns {Array} Rows of cell strings
+     */
+    parseRows(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        
+        return rows;
+    },
+    
+    /**
+     * Get the mapping for a source: chosen on the upload page, saved for these headers, or guessed
+     * @param {Object} source - Import source
+     * @returns {Object} { date, from, content, conversation, dateFormat } with column indexes or null
+     */
+    getMapping(source) {
+        if (!source.csvMapping) {
+            const headers = this.getTable(source).headers;
+            source.csvMapping = this.loadMapping(headers) || this.guessMapping(headers);
+        }
+        return source.csvMapping;
+    },
+    
+    /**
+     * Guess columns from common header names
+     * @param {Array} headers - Header cells
+     * @returns {Object} Column mapping
+     */
+    guessMapping(headers) {
+        const find = regex => {
+            const index = headers.findIndex(header => regex.test(header));
+            return index === -1 ? null : index;
+        };
+        
+        return {
+            date: find(/date|time|timestamp|sent/i),
+            from: find(/^(from|sender|author|user|name|sender_name|username)$/i),
+            content: find(/^(content|message|text|body|msg)$/i),
+            conversation: find(/conversation|chat|thread|channel|room/i),
+            dateFormat: 'auto'
+        };
+    },
+    
+    /**
+     * Identify a CSV layout by its headers
+     * @param {Array} headers - Header cells
+     * @returns {string} Header signature
+     */
+    getSignature(headers) {
+        return headers.map(header => header.toLowerCase()).join('|');
+    },
+    
+    /**
+     * Load a saved mapping for files with these headers
+     * @param {Array} headers - Header cells
+     * @returns {Object|null} Saved mapping
+     */
+    loadMapping(headers) {
+        try {
+            const saved = JSON.parse(SessionStore.getSetting(this.storageKey) || '{}');
+            return saved[this.getSignature(headers)] || null;
+        } catch (error) {
+            console.warn('Could not read saved CSV mappings:', error);
+            return null;
+        }
+    },
+    
+    /**
+     * Save a mapping so files with the same headers are mapped automatically
+     * @param {Array} headers - Header cells
+     * @param {Object} mapping - Column mapping
+     */
+    saveMapping(headers, mapping) {
+        try {
+            const saved = JSON.parse(SessionStore.getSetting(this.storageKey) || '{}');
+            saved[this.getSignature(headers)] = mapping;
+            SessionStore.setSetting(this.storageKey, JSON.stringify(saved));
+        } catch (error) {
+            console.warn('Could not save CSV mapping:', error);
+        }
+    },
+    
+    /**
+     * Parse a date cell into the local "YYYY-MM-DD HH:mm:ss", or an ISO instant for epoch times
+     * In 'auto' mode the value is passed on as it is
+     * @param {string} value - Cell value
+     * @param {string} format - Date format pattern, 'auto', 'unix' or 'unix-ms'
+     * @returns {string|null} Formatted date, or null if it is empty or does not match
+     */
+    parseDate(value, format = 'auto') {
+        if (value === undefined || value === null) return null;
+        const text = String(value).trim();
+        if (text === '') return null;
+        
+        if (format === 'unix' || format === 'unix-ms') {
+            if (!/^\d+(\.\d+)?$/.test(text)) return null;
+            const date = new Date(format === 'unix' ? parseFloat(text) * 1000 : parseFloat(text));
+            return isNaN(date.getTime()) ? null : date.toISOString();
+        }
+        
+        // The format is detected across the whole file by Parser.importSource, which also
+        // quarantines values it cannot read
+        if (!format || format === 'auto') {
+            return text;
+        }
+        
+        const parts = this.matchFormat(text, format);
+        if (!parts) return null;
+        
+        return this.formatParts(parts);
+    },
+    
+    /**
+     * Match a value against a token pattern such as "DD/MM/YYYY hh:mm A"
+     * Seconds may be missing from the value even when the pattern has them
+     * @param {string} text - Cell value
+     * @param {string} format - Date format pattern
+     * @returns {Object|null} Date parts
+     */
+    matchFormat(text, format) {
+        const tokens = [];
+        const tokenRegex = /YYYY|YY|MM|M|DD|D|HH|H|hh|h|mm|ss|A/g;
+        let pattern = '';
+        let last = 0;
+        let match;
+        
+        while ((match = tokenRegex.exec(format)) !== null) {
+            const literal = format.substring(last, match.index);
+            last = match.index + match[0].length;
+            
+            if (match[0] === 'ss') {
+                // Make the separator before optional seconds optional too
+                pattern += `(?:${this.escapeRegex(literal)}(\\d{2}))?`;
+            } else {
+                pattern += this.escapeRegex(literal);
+                pattern += {
+                    YYYY: '(\\d{4})',
+                    YY: '(\\d{2})',
+                    A: '([AaPp]\\.?[Mm]\\.?)'
+                }[match[0]] || '(\\d{1,2})';
+            }
+            tokens.push(match[0]);
+        }
+        pattern += this.escapeRegex(format.substring(last));
+        
+        const values = text.match(new RegExp(`^${pattern}`));
+        if (!values) return null;
+        
+        const parts = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+        let meridiem = null;
+        
+        tokens.forEach((token, index) => {
+            const value = values[index + 1];
+            if (value === undefined) return;
+            
+            if (token === 'A') {
+                meridiem = value[0].toUpperCase();
+            } else if (token === 'YYYY') {
+                parts.year = parseInt(value);
+            } else if (token === 'YY') {
+                parts.year = 2000 + parseInt(value);
+            } else if (token === 'MM' || token === 'M') {
+                parts.month = parseInt(value);
+            } else if (token === 'DD' || token === 'D') {
+                parts.day = parseInt(value);
+            } else if (token === 'mm') {
+                parts.minute = parseInt(value);
+            } else if (token === 'ss') {
+                parts.second = parseInt(value);
+            } else {
+                parts.hour = parseInt(value);
+            }
+        });
+        
+        if (meridiem === 'P' && parts.hour < 12) {
+            parts.hour += 12;
+        } else if (meridiem === 'A' && parts.hour === 12) {
+            parts.hour = 0;
+        }
+        
+        if (parts.month < 1 || parts.month > 12 || parts.day < 1 || parts.day > 31 || parts.hour > 23 || parts.minute > 59) {
+            return null;
+        }
+        
+        return parts;
+    },
+    
+    /**
+     * Format date parts as "YYYY-MM-DD HH:mm:ss"
+     * @param {Object} parts - Date parts
+     * @returns {string} Formatted date
+     */
+    formatParts(parts) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+    },
+    
+    /**
+     * Escape literal text for use in a regular expression
+     * @param {string} text - Literal text
+     * @returns {string} Escaped text
+     */
+    escapeRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+};
+
+Parser.registerImporter(ImporterCSV);
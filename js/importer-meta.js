@@ -0,0 +1,248 @@
+/**
+ * Meta Importer Module
+ * Reads Facebook Messenger and Instagram message exports (message_1.json ... message_N.json)
+ */
+
+const ImporterMeta = {
+    id: 'meta-json',
+    name: 'Facebook Messenger / Instagram export',
+    extensions: ['.json', '.zip'],
+    
+    partRegex: /(^|\/)message_\d+\.json$/i,
+    
+    /**
+     * Check for a single message_N.json or a folder/ZIP containing them
+     * @param {Object} source - Import source
+     * @returns {boolean} True if the source looks like a Meta export
+     */
+    detect(source) {
+        if (source.entries) {
+            return this.getThreadParts(source).length > 0;
+        }
+        return this.isThreadData(Parser.getSourceJSON(source));
+    },
+    
+    /**
+     * Merge the numbered parts of each thread and turn every thread into a conversation
+     * @param {Object} source - Import source
+     * @param {Object} report - Validation report
+     * @returns {Object} Thread title mapped to raw messages
+     */
+    normalize(source, report = Parser.createReport()) {
+        const threads = {};
+        
+        if (source.entries) {
+            for (const part of this.getThreadParts(source, report)) {
+                if (!threads[part.thread]) {
+                    threads[part.thread] = [];
+                }
+                threads[part.thread].push(part.data);
+            }
+        } else {
+            threads[source.fileName] = [Parser.getSourceJSON(source)];
+        }
+        
+        const conversations = {};
+        
+        for (const thread in threads) {
+            const parts = threads[thread];
+            const messages = [];
+            const events = [];
+            
+            for (const part of parts) {
+                for (const msg of part.messages) {
+                    const converted = this.convertMessage(msg);
+                    if (converted) {
+                        messages.push(converted);
+                    } else {
+                        events.push(...this.getMemberEvents(msg));
+                    }
+                }
+            }
+            
+            if (messages.length === 0) continue;
+            
+            // Parts are written newest first
+            messages.sort((a, b) => String(a.Date).localeCompare(String(b.Date)));
+            events.sort((a, b) => String(a.Date).localeCompare(String(b.Date)));
+            
+            let name = this.getThreadName(parts[0], thread);
+            if (conversations[name]) {
+                name = `${name} (${thread.split('/').pop()})`;
+            }
+            conversations[name] = messages;
+            
+            const participants = (parts[0].participants || []).map(p => this.repairText(p.name));
+            Parser.setConversationInfo(source, name, {
+                isGroup: parts[0].thread_type === 'RegularGroup' || participants.length > 2,
+                participants: participants,
+                events: events
+            });
+        }
+        
+        return conversations;
+    },
+    
+    /**
+     * Check the shape of one message_N.json
+     * @param {Object} data - Parsed JSON
+     * @returns {boolean} True if it is a Meta thread part
+     */
+    isThreadData(data) {
+        return !!(data && Array.isArray(data.participants) && Array.isArray(data.messages));
+    },
+    
+    /**
+     * Collect the parsed thread parts of an archive, keyed by thread folder
+     * @param {Object} source - Archive source
+     * @param {Object} report - Validation report for unreadable parts (optional)
+     * @returns {Array} Parts with thread folder and parsed data
+     */
+    getThreadParts(source, report = null) {
+        const parts = [];
+        
+        for (const path in source.entries) {
+            if (!this.partRegex.test(path)) continue;
+            
+            let data = null;
+            try {
+                data = JSON.parse(source.entries[path]);
+            } catch (error) {
+                console.warn(`Skipping unreadable part ${path}:`, error);
+                if (report) {
+                    Parser.addSkippedConversation(report, path, path, `Unreadable JSON: ${error.message}`);
+                }
+                continue;
+            }
+            
+            if (this.isThreadData(data)) {
+                parts.push({
+                    thread: path.substring(0, path.lastIndexOf('/')) || path,
+                    data: data
+                });
+            }
+        }
+        
+        return parts;
+    },
+    
+    /**
+     * Name a thread from its title, falling back to its participants
+     * @param {Object} part - First parsed part of the thread
+     * @param {string} thread - Thread folder
+     * @returns {string} Conversation name
+     */
+    getThreadName(part, thread) {
+        if (part.title) {
+            return this.repairText(part.title);
+        }
+        
+        const names = part.participants.map(p => this.repairText(p.name));
+        return names.length > 0 ? names.join(' & ') : thread;
+    },
+    
+    /**
+     * Convert a Meta message into a raw ConvoHelper message
+     * @param {Object} msg - Meta message
+     * @returns {Object|null} Raw message, or null for join/leave events
+     */
+    convertMessage(msg) {
+        if (msg.type === 'Subscribe' || msg.type === 'Unsubscribe') {
+            return null;
+        }
+        
+        return {
+            Date: this.convertDate(msg.timestamp_ms),
+            From: this.repairText(msg.sender_name || 'Facebook User'),
+            Content: this.convertContent(msg)
+        };
+    },
+    
+    /**
+     * Turn a Subscribe/Unsubscribe message into join/leave events
+     * @param {Object} msg - Meta message
+     * @returns {Array} Events with Date, type and member
+     */
+    getMemberEvents(msg) {
+        const type = msg.type === 'Subscribe' ? 'join' : msg.type === 'Unsubscribe' ? 'leave' : null;
+        if (!type) return [];
+        
+        const date = this.convertDate(msg.timestamp_ms);
+        const users = Array.isArray(msg.users) && msg.users.length > 0 ? msg.users : [{ name: msg.sender_name }];
+        
+        return users
+            .filter(user => user && user.name)
+            .map(user => ({ Date: date, type: type, member: this.repairText(user.name) }));
+    },
+    
+    /**
+     * Convert timestamp_ms into "YYYY-MM-DD HH:mm:ss.SSS" (UTC)
+     * Milliseconds are kept so messages sent within the same second stay in order
+     * Missing or invalid values are passed on as they are, so validation drops and reports the message
+     * @param {number} timestampMs - Milliseconds since the epoch
+     * @returns {string|null} Formatted date, the original value, or null if there is none
+     */
+    convertDate(timestampMs) {
+        if (timestampMs === undefined || timestampMs === null || timestampMs === '') {
+            return null;
+        }
+        
+        const date = new Date(Number(timestampMs));
+        return isNaN(date.getTime())
+            ? String(timestampMs)
+            : date.toISOString().replace('T', ' ').replace(/Z$/, '');
+    },
+    
+    /**
+     * Map content, attachments and shares into ConvoHelper's content conventions
+     * @param {Object} msg - Meta message
+     * @returns {string} Content
+     */
+    convertContent(msg) {
+        const text = msg.content ? this.repairText(msg.content) : '';
+        
+        if (msg.sticker) {
+            const name = (msg.sticker.uri || '').split('/').pop().replace(/\.\w+$/, '');
+            return `[Sticker: ${name || 'Sticker'}]`;
+        }
+        
+        let label = null;
+        if (msg.photos) label = '[Media: Photo]';
+        else if (msg.videos) label = '[Media: Video]';
+        else if (msg.gifs) label = '[Media: GIF]';
+        else if (msg.audio_files) label = '[Media: Voice Note]';
+        else if (msg.files) label = '[Media: Document]';
+        
+        if (label) {
+            return text ? `${label} ${text}` : label;
+        }
+        
+        // Shared links (posts, reels, articles) keep their URL so they count as links
+        if (msg.share && msg.share.link && !text.includes(msg.share.link)) {
+            return text ? `${text} ${msg.share.link}` : msg.share.link;
+        }
+        
+        return text;
+    },
+    
+    /**
+     * Repair mojibake: Meta writes UTF-8 bytes as individual Latin-1 characters
+     * @param {string} text - Text from the export
+     * @returns {string} Repaired text
+     */
+    repairText(text) {
+        if (typeof text !== 'string' || !/[\u0080-\u00FF]/.test(text) || /[^\u0000-\u00FF]/.test(text)) {
+            return text;
+        }
+        
+        try {
+            const bytes = Uint8Array.from(text, char => char.charCodeAt(0));
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            // Not valid UTF-8, so the text was genuine Latin-1
+            return text;
+        }
+    }
+};
+
+Parser.registerImporter(ImporterMeta);
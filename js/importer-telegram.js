@@ -0,0 +1,209 @@
+/**
+ * Telegram Importer Module
+ * Reads Telegram Desktop "Export chat history" JSON (result.json)
+ */
+
+const ImporterTelegram = {
+    id: 'telegram-json',
+    name: 'Telegram Desktop export',
+    extensions: ['.json'],
+    localTime: true,  // `date` is the local time of the computer that made the export
+    
+    // Telegram media_type values mapped to ConvoHelper media labels
+    mediaLabels: {
+        video_file: 'Video',
+        video_message: 'Video Message',
+        voice_message: 'Voice Note',
+        audio_file: 'Audio',
+        animation: 'GIF'
+    },
+    
+    // Chat types that have members rather than a single contact
+    groupChatTypes: ['private_group', 'private_supergroup', 'public_supergroup'],
+    
+    /**
+     * Check for a full export (chats.list) or a single chat export (type + messages)
+     * @param {Object} source - Import source
+     * @returns {boolean} True if the source looks like a Telegram export
+     */
+    detect(source) {
+        const data = Parser.getSourceJSON(source);
+        if (!data || typeof data !== 'object') return false;
+        
+        if (data.chats && Array.isArray(data.chats.list)) {
+            return true;
+        }
+        
+        return typeof data.type === 'string' && Array.isArray(data.messages) && !data.participants;
+    },
+    
+    /**
+     * Turn every chat into a conversation
+     * @param {Object} source - Import source
+     * @returns {Object} Chat name mapped to raw messages
+     */
+    normalize(source) {
+        const conversations = {};
+        
+        for (const chat of this.getChats(Parser.getSourceJSON(source))) {
+            const messages = [];
+            const events = [];
+            
+            for (const msg of chat.messages || []) {
+                // Service messages (joins, pins, calls...) have an actor instead of a sender
+                if (msg.type !== 'message') {
+                    events.push(...this.getMemberEvents(msg));
+                    continue;
+                }
+                
+                messages.push({
+                    Date: this.formatDate(msg),
+                    From: msg.from || msg.from_id || 'Deleted Account',
+                    Content: this.convertContent(msg)
+                });
+            }
+            
+            if (messages.length === 0) continue;
+            
+            let name = this.getChatName(chat);
+            if (conversations[name]) {
+                name = `${name} (${chat.id})`;
+            }
+            conversations[name] = messages;
+            
+            Parser.setConversationInfo(source, name, {
+                isGroup: this.groupChatTypes.includes(chat.type),
+                participants: Array.from(new Set(messages.map(msg => msg.From))),
+                events: events
+            });
+        }
+        
+        return conversations;
+    },
+    
+    /**
+     * Get the list of chats from a full or single chat export
+     * @param {Object} data - Parsed result.json
+     * @returns {Array} Chat objects
+     */
+    getChats(data) {
+        if (data.chats && Array.isArray(data.chats.list)) {
+            const leftChats = data.left_chats && Array.isArray(data.left_chats.list) ? data.left_chats.list : [];
+            return [...data.chats.list, ...leftChats];
+        }
+        return [data];
+    },
+    
+    /**
+     * Name a chat: contact name for personal chats, title for groups
+     * @param {Object} chat - Chat object
+     * @returns {string} Conversation name
+     */
+    getChatName(chat) {
+        if (chat.type === 'saved_messages') {
+            return 'Saved Messages';
+        }
+        return chat.name || `Telegram chat ${chat.id}`;
+    },
+    
+    /**
+     * Turn a service message that adds or removes members into join/leave events
+     * @param {Object} msg - Telegram service message
+     * @returns {Array} Events with Date, type and member
+     */
+    getMemberEvents(msg) {
+        let type = null;
+        let members = [];
+        
+        if (msg.action === 'invite_members' || msg.action === 'create_group') {
+            type = 'join';
+            members = msg.members || [];
+        } else if (msg.action === 'join_group_by_link' || msg.action === 'join_group_by_request') {
+            type = 'join';
+            members = [msg.actor];
+        } else if (msg.action === 'remove_members') {
+            type = 'leave';
+            members = msg.members || [];
+        }
+        
+        return members
+            .filter(member => typeof member === 'string' && member !== '')
+            .map(member => ({ Date: this.formatDate(msg), type: type, member: member }));
+    },
+    
+    /**
+     * Format a message date: the instant from the unix time when the export has one,
+     * otherwise the local "YYYY-MM-DD HH:mm:ss" of `date`
+     * @param {Object} msg - Telegram message
+     * @returns {string} Formatted date
+     */
+    formatDate(msg) {
+        const date = new Date(parseInt(msg.date_unixtime) * 1000);
+        if (!isNaN(date.getTime())) {
+            return date.toISOString();
+        }
+        return String(msg.date).replace('T', ' ');
+    },
+    
+    /**
+     * Flatten text entities and map media to [Media: ...] / [Sticker: ...]
+     * @param {Object} msg - Telegram message
+     * @returns {string} Content
+     */
+    convertContent(msg) {
+        const text = this.flattenText(msg.text);
+        let label = null;
+        
+        if (msg.media_type === 'sticker') {
+            return `[Sticker: ${msg.sticker_emoji || this.getFileName(msg.file) || 'Telegram Sticker'}]`;
+        } else if (msg.photo) {
+            label = '[Media: Photo]';
+        } else if (msg.media_type && this.mediaLabels[msg.media_type]) {
+            label = `[Media: ${this.mediaLabels[msg.media_type]}]`;
+        } else if (msg.file) {
+            label = '[Media: Document]';
+        } else if (msg.location_information) {
+            label = '[Media: Location]';
+        } else if (msg.contact_information) {
+            label = '[Media: Contact Card]';
+        } else if (msg.poll) {
+            label = `[Media: Poll] ${msg.poll.question || ''}`.trim();
+        }
+        
+        if (label) {
+            return text ? `${label} ${text}` : label;
+        }
+        return text;
+    },
+    
+    /**
+     * Flatten Telegram's text, which is a string or an array of strings and entity objects
+     * @param {string|Array} text - Telegram text field
+     * @returns {string} Plain text
+     */
+    flattenText(text) {
+        if (typeof text === 'string') return text;
+        if (!Array.isArray(text)) return '';
+        
+        return text.map(part => {
+            if (typeof part === 'string') return part;
+            // Keep the target of named links so they are still counted as links
+            if (part.type === 'text_link' && part.href && part.href !== part.text) {
+                return `${part.text} (${part.href})`;
+            }
+            return part.text || '';
+        }).join('');
+    },
+    
+    /**
+     * Get a file's base name without extension
+     * @param {string} path - Exported file path
+     * @returns {string|null} Base name
+     */
+    getFileName(path) {
+        if (!path || path.startsWith('(')) return null; // "(File not included...)"
+        return path.split('/').pop().replace(/\.\w+$/, '');
+    }
+};
+
+Parser.registerImporter(ImporterTelegram);
@@ -0,0 +1,124 @@
+/**
+ * TikTok TXT Importer Module
+ * Reads the Direct Messages of a TikTok data export requested in TXT format
+ */
+
+const ImporterTikTokTxt = {
+    id: 'tiktok-txt',
+    name: 'TikTok TXT export',
+    extensions: ['.txt', '.zip'],
+    
+    // ">>> Chat History with X:" (the arrows are missing in some exports)
+    headingRegex: /^(?:>>>\s*)?(Chat History with .*:)\s*$/,
+    fieldRegex: /^(Date|From|Content):\s?(.*)$/,
+    
+    /**
+     * Check for "Chat History with X:" headings followed by Date: lines
+     * @param {Object} source - Import source
+     * @returns {boolean} True if the source looks like a TikTok TXT export
+     */
+    detect(source) {
+        return this.findChatTexts(source).length > 0;
+    },
+    
+    /**
+     * Normalize the chat histories into the same conversations as the JSON export
+     * @param {Object} source - Import source
+     * @returns {Object} Person name mapped to raw messages
+     */
+    normalize(source) {
+        const conversations = {};
+        
+        for (const text of this.findChatTexts(source)) {
+            const chatHistory = this.parseText(text);
+            
+            for (const key in chatHistory) {
+                // Same name extraction as the JSON importer
+                const personName = key.replace('Chat History with ', '').replace(':', '');
+                conversations[personName] = (conversations[personName] || []).concat(chatHistory[key]);
+            }
+        }
+        
+        return conversations;
+    },
+    
+    /**
+     * Get the text of every DM file in the source
+     * @param {Object} source - Import source
+     * @returns {Array} File contents
+     */
+    findChatTexts(source) {
+        if (source.entries) {
+            return Object.keys(source.entries)
+                .filter(path => path.toLowerCase().endsWith('.txt'))
+                .map(path => source.entries[path])
+                .filter(text => this.looksLikeChatHistory(text));
+        }
+        
+        if (source.text && source.fileName.toLowerCase().endsWith('.txt') && this.looksLikeChatHistory(source.text)) {
+            return [source.text];
+        }
+        
+        return [];
+    },
+    
+    /**
+     * Check for a chat heading and a Date: field
+     * @param {string} text - File content
+     * @returns {boolean} True if the text holds TikTok chat histories
+     */
+    looksLikeChatHistory(text) {
+        return /^(?:>>>\s*)?Chat History with .*:\s*$/m.test(text) && /^Date:/m.test(text);
+    },
+    
+    /**
+     * Parse the text into the JSON export's ChatHistory shape
+     * Content may span several lines; blank lines only separate messages
+     * @param {string} text - File content
+     * @returns {Object} "Chat History with X:" mapped to { Date, From, Content } messages
+     */
+    parseText(text) {
+        const chatHistory = {};
+        let messages = null;
+        let current = null;
+        let inContent = false;
+        let pendingBlankLines = 0;
+        
+        for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+            const heading = rawLine.match(this.headingRegex);
+            if (heading) {
+                messages = chatHistory[heading[1]] = chatHistory[heading[1]] || [];
+                current = null;
+                inContent = false;
+                continue;
+            }
+            
+            if (!messages) continue;
+            
+            const field = rawLine.match(this.fieldRegex);
+            if (field && (field[1] === 'Date' || !inContent || !current[field[1]])) {
+                if (field[1] === 'Date') {
+                    current = { Date: field[2].trim(), From: '', Content: '' };
+                    messages.push(current);
+                    inContent = false;
+                } else if (current) {
+                    current[field[1]] = field[1] === 'Content' ? field[2] : field[2].trim();
+                    inContent = field[1] === 'Content';
+                }
+                pendingBlankLines = 0;
+            } else if (inContent) {
+                if (rawLine.trim() === '') {
+                    pendingBlankLines++;
+                } else {
+                    // Continuation of a multi-line message
+                    current.Content += '\n'.repeat(pendingBlankLines + 1) + rawLine;
+                    pendingBlankLines = 0;
+                }
+            }
+        }
+        
+        return chatHistory;
+    }
+};
+
+Parser.registerImporter(ImporterTikTokTxt);
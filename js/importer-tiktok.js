@@ -0,0 +1,177 @@
+/**
+ * TikTok Importer Module
+ * Reads the Direct Messages section of a TikTok data export (JSON or the data download ZIP)
+ */
+
+const ImporterTikTok = {
+    id: 'tiktok-json',
+    name: 'TikTok JSON export',
+    extensions: ['.json', '.zip'],
+    
+    // Name of the JSON file inside the data download ZIP (newer exports add "_tiktok")
+    dataFileRegex: /(^|\/)user_data(_tiktok)?\.json$/i,
+    
+    /**
+     * Check for the "Direct Message" section of a TikTok export, or a TikTok data file
+     * @param {Object} source - Import source
+     * @returns {boolean} True if the source looks like a TikTok export
+     */
+    detect(source) {
+        if (source.entries) {
+            return this.findDataPath(source) !== null;
+        }
+        if (source.file) {
+            return this.dataFileRegex.test(source.fileName) || source.head.includes('"Direct Message"');
+        }
+        
+        const data = Parser.getSourceJSON(source);
+        return !!(data && (data['Direct Message'] || this.dataFileRegex.test(source.fileName)));
+    },
+    
+    /**
+     * Normalize "Chat History with X:" threads into conversations
+     * @param {Object} source - Import source
+     * @param {Object} report - Validation report
+     * @returns {Object} Person name mapped to raw messages
+     */
+    normalize(source, report = Parser.createReport()) {
+        const data = this.getData(source);
+        
+        if (!data || !data['Direct Message']) {
+            Parser.addReportError(report, '$', 'Missing "Direct Message" key');
+            throw new Error(`No Direct Message data found in ${source.fileName}. Make sure "Direct Messages" was selected when requesting the TikTok data download.`);
+        }
+        
+        Parser.validateStructure(data, report);
+        if (!report.valid) {
+            const error = report.errors[0];
+            throw new Error(`Invalid TikTok JSON structure: ${error.message} at ${error.path}`);
+        }
+        
+        const chatHistory = data['Direct Message']['Direct Messages']['ChatHistory'];
+        const skippedKeys = new Set(report.skippedConversations.map(skipped => skipped.name));
+        const conversations = {};
+        
+        for (const key in chatHistory) {
+            if (skippedKeys.has(key)) continue;
+            
+            // Extract person name from key
+            const personName = key.replace('Chat History with ', '').replace(':', '');
+            conversations[personName] = chatHistory[key];
+        }
+        
+        return conversations;
+    },
+    
+    /**
+     * Normalize a large export while streaming it, one message at a time
+     * Reports the same structure problems and skipped conversations as normalize
+     * @param {Object} source - File source (see Parser.createFileSource)
+     * @param {Object} report - Validation report
+     * @param {Function} progress - Called with (bytesRead, size)
+     * @param {Function} onConversation - Called with (personName, raw messages) as each conversation ends
+     * @returns {Promise<void>} Resolves when the whole file was read
+     */
+    async normalizeStream(source, report, progress, onConversation) {
+        const hierarchy = ['Direct Message', 'Direct Messages', 'ChatHistory'];
+        const found = [];  // Which levels of the hierarchy were found
+        let current = null;
+        let messages = null;
+        let count = 0;
+        
+        const reader = JSONStream.createReader({
+            visit: (path, type) => {
+                const depth = path.length;
+                if (depth === 0) return 'walk';
+                
+                if (depth <= hierarchy.length) {
+                    if (path[depth - 1] !== hierarchy[depth - 1] || type !== 'object') return 'skip';
+                    found[depth - 1] = true;
+                    return 'walk';
+                }
+                
+                if (depth === hierarchy.length + 1) {
+                    const key = String(path[depth - 1]);
+                    const problem = Parser.getConversationProblem(key, type === 'array');
+                    if (problem) {
+                        Parser.addSkippedConversation(report, key, Parser.jsonPath(...path), problem);
+                        return 'skip';
+                    }
+                    
+                    current = key.replace('Chat History with ', '').replace(':', '');
+                    messages = [];
+                    return 'walk';
+                }
+                return 'value';
+            },
+            onValue: (message) => messages.push(message),
+            leave: (path) => {
+                if (path.length !== hierarchy.length + 1) return;
+                
+                // Hand the conversation on, so only one is held at a time
+                onConversation(current, messages);
+                messages = null;
+                count++;
+            }
+        });
+        
+        await JSONStream.readFile(source.file, reader, progress);
+        
+        if (!found[0]) {
+            Parser.addReportError(report, '$', 'Missing "Direct Message" key');
+            throw new Error(`No Direct Message data found in ${source.fileName}. Make sure "Direct Messages" was selected when requesting the TikTok data download.`);
+        }
+        
+        const missing = hierarchy.findIndex((key, index) => !found[index]);
+        if (missing !== -1) {
+            Parser.addReportError(report, Parser.jsonPath(...hierarchy.slice(0, missing)), `Missing "${hierarchy[missing]}" key`);
+        } else if (count === 0) {
+            Parser.addReportError(report, Parser.jsonPath(...hierarchy), 'No conversations found');
+        }
+        if (!report.valid) {
+            const error = report.errors[0];
+            throw new Error(`Invalid TikTok JSON structure: ${error.message} at ${error.path}`);
+        }
+    },
+    
+    /**
+     * Locate a conversation in the export
+     * @param {string} personName - Conversation name
+     * @returns {string} JSON path
+     */
+    getConversationPath(personName) {
+        return Parser.jsonPath('Direct Message', 'Direct Messages', 'ChatHistory', `Chat History with ${personName}:`);
+    },
+    
+    /**
+     * Find the TikTok data file inside an archive
+     * @param {Object} source - Archive source
+     * @returns {string|null} Entry path
+     */
+    findDataPath(source) {
+        return Object.keys(source.entries).find(path => this.dataFileRegex.test(path)) || null;
+    },
+    
+    /**
+     * Get the parsed export from a JSON file or from the data file inside a ZIP
+     * @param {Object} source - Import source
+     * @returns {Object|null} Parsed JSON
+     */
+    getData(source) {
+        if (!source.entries) {
+            return Parser.getSourceJSON(source);
+        }
+        
+        if (source.json === undefined) {
+            const path = this.findDataPath(source);
+            try {
+                source.json = Parser.parseJSON(source.entries[path]);
+            } catch (error) {
+                throw new Error(`Could not read ${path} from ${source.fileName}: ${error.message}`);
+            }
+        }
+        return source.json;
+    }
+};
+
+Parser.registerImporter(ImporterTikTok);
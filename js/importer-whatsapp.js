@@ -0,0 +1,345 @@
+/**
+ * WhatsApp Importer Module
+ * Reads WhatsApp "Export chat" text files (_chat.txt), with or without media
+ */
+
+const ImporterWhatsApp = {
+    id: 'whatsapp-txt',
+    name: 'WhatsApp chat export',
+    extensions: ['.txt', '.zip'],
+    localTime: true,  // Lines carry the phone's local time
+    
+    // Android: "31/12/2020, 23:59 - Name: Message"
+    // iOS:     "[31/12/2020, 23:59:59] Name: Message"
+    androidLineRegex: /^(\d{1,4}[./-]\d{1,2}[./-]\d{1,4}),?\s+(\d{1,2}[:.]\d{2}(?:[:.]\d{2})?)(?:\s*([AaPp])\.?\s?[Mm]\.?)?\s+[-\u2013]\s+(.*)$/,
+    iosLineRegex: /^\[(\d{1,4}[./-]\d{1,2}[./-]\d{1,4}),?\s+(\d{1,2}[:.]\d{2}(?:[:.]\d{2})?)(?:\s*([AaPp])\.?\s?[Mm]\.?)?\]\s+(.*)$/,
+    
+    // Events that quote user text and so can contain ": " without having a sender
+    systemRegex: /(created group|changed the subject|changed this group's|changed the group)/i,
+    
+    // iOS attributes the encryption notice to the chat itself
+    encryptionNoticeRegex: /^Messages .*end-to-end encrypted/i,
+    
+    // System lines about group members, e.g. "Anna added Ben and Chris" or "Ben left"
+    memberEventRegexes: [
+        { regex: /^(.+?) (?:added|invited) (.+)$/, type: 'join', memberGroup: 2 },
+        { regex: /^(.+?) joined using this group's invite link$/, type: 'join', memberGroup: 1 },
+        { regex: /^(.+?) joined from the community$/, type: 'join', memberGroup: 1 },
+        { regex: /^(.+?) removed (.+)$/, type: 'leave', memberGroup: 2 },
+        { regex: /^(.+?) left$/, type: 'leave', memberGroup: 1 }
+    ],
+    
+    /**
+     * Check for a WhatsApp chat text file, alone or inside an export ZIP
+     * @param {Object} source - Import source
+     * @returns {boolean} True if the source looks like a WhatsApp export
+     */
+    detect(source) {
+        const chatText = this.findChatText(source);
+        return chatText !== null && this.looksLikeChat(chatText);
+    },
+    
+    /**
+     * Normalize the chat into a single conversation
+     * @param {Object} source - Import source
+     * @returns {Object} Conversation name mapped to raw messages
+     */
+    normalize(source) {
+        const chatText = this.findChatText(source);
+        const entries = this.parseLines(chatText);
+        
+        const messages = [];
+        const senders = new Set();
+        const events = [];
+        let createdGroup = false;
+        
+        for (const entry of entries) {
+            if (entry.from === null) {
+                // System line
+                if (/created group/i.test(entry.text)) {
+                    createdGroup = true;
+                }
+                events.push(...this.getMemberEvents(entry));
+                continue;
+            }
+            
+            messages.push({
+                Date: this.formatDate(entry),
+                From: entry.from,
+                Content: this.convertContent(entry.text)
+            });
+            senders.add(entry.from);
+        }
+        
+        const name = this.getConversationName(source, Array.from(senders));
+        Parser.setConversationInfo(source, name, {
+            isGroup: createdGroup || events.length > 0 || senders.size > 2,
+            participants: Array.from(senders),
+            events: events
+        });
+        
+        return { [name]: messages };
+    },
+    
+    /**
+     * Turn a system line about members joining or leaving into events
+     * @param {Object} entry - Parsed system entry
+     * @returns {Array} Events with Date, type and member
+     */
+    getMemberEvents(entry) {
+        const text = entry.text.trim();
+        
+        for (const { regex, type, memberGroup } of this.memberEventRegexes) {
+            const match = text.match(regex);
+            if (!match) continue;
+            
+            return match[memberGroup]
+                .split(/,\s*|\s+and\s+/)
+                .map(member => member.trim())
+                .filter(member => member !== '')
+                .map(member => ({ Date: this.formatDate(entry), type: type, member: member }));
+        }
+        
+        return [];
+    },
+    
+    /**
+     * Get the chat text from a plain file or from an archive
+     * @param {Object} source - Import source
+     * @returns {string|null} Chat text
+     */
+    findChatText(source) {
+        if (source.entries) {
+            const paths = Object.keys(source.entries);
+            const chatPath = paths.find(path => /(^|\/)_chat\.txt$/i.test(path)) ||
+                             paths.find(path => /whatsapp chat.*\.txt$/i.test(path));
+            return chatPath ? source.entries[chatPath] : null;
+        }
+        
+        if (source.text && source.fileName.toLowerCase().endsWith('.txt')) {
+            return source.text;
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Check that the first non-empty lines use a WhatsApp message header
+     * @param {string} text - Chat text
+     * @returns {boolean} True if it looks like a WhatsApp chat
+     */
+    looksLikeChat(text) {
+        const lines = text.split(/\r?\n/)
+            .map(line => this.cleanLine(line))
+            .filter(line => line.trim() !== '')
+            .slice(0, 5);
+        
+        return lines.some(line => this.matchHeader(line) !== null);
+    },
+    
+    /**
+     * Remove direction marks and unusual spaces WhatsApp inserts
+     * @param {string} line - Raw line
+     * @returns {string} Cleaned line
+     */
+    cleanLine(line) {
+        return line
+            .replace(/^\uFEFF/, '')
+            .replace(/[\u200E\u200F\u202A-\u202E]/g, '')
+            .replace(/[\u202F\u00A0]/g, ' ');
+    },
+    
+    /**
+     * Match a message header line
+     * @param {string} line - Cleaned line
+     * @returns {Object|null} Header parts
+     */
+    matchHeader(line) {
+        const match = line.match(this.iosLineRegex) || line.match(this.androidLineRegex);
+        if (!match) return null;
+        
+        return {
+            date: match[1],
+            time: match[2],
+            meridiem: match[3] ? match[3].toUpperCase() : null,
+            rest: match[4]
+        };
+    },
+    
+    /**
+     * Split the chat into entries, joining continuation lines of multi-line messages
+     * @param {string} text - Chat text
+     * @returns {Array} Entries with date, time, sender and text
+     */
+    parseLines(text) {
+        const entries = [];
+        
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = this.cleanLine(rawLine);
+            const header = this.matchHeader(line);
+            
+            if (header) {
+                const { from, text: body } = this.splitSender(header.rest);
+                entries.push({
+                    date: header.date,
+                    time: header.time,
+                    meridiem: header.meridiem,
+                    from: from,
+                    text: body
+                });
+            } else if (entries.length > 0) {
+                // Continuation of a multi-line message
+                entries[entries.length - 1].text += '\n' + line;
+            }
+        }
+        
+        // Blank lines at the end of a message (e.g. the file's final newline) are not part of it
+        for (const entry of entries) {
+            entry.text = entry.text.replace(/(?:\n[ \t]*)+$/, '');
+        }
+        
+        return entries;
+    },
+    
+    /**
+     * Split "Name: message" into sender and text; system lines get a null sender
+     * @param {string} rest - Header remainder
+     * @returns {Object} Sender and text
+     */
+    splitSender(rest) {
+        const separator = rest.indexOf(': ');
+        if (separator === -1) {
+            return { from: null, text: rest };
+        }
+        
+        const from = rest.substring(0, separator).trim();
+        const text = rest.substring(separator + 2);
+        if (this.systemRegex.test(from) || this.encryptionNoticeRegex.test(text)) {
+            return { from: null, text: rest };
+        }
+        
+        return { from: from, text: text };
+    },
+    
+    /**
+     * Format an entry's date and time for Parser.detectDateFormat
+     * Exports use the phone's locale, so day/month dates are passed on as written
+     * (e.g. "03/04/21, 14:05") and their order is worked out across the whole chat;
+     * year-first dates are unambiguous and become "YYYY-MM-DD HH:mm:ss"
+     * @param {Object} entry - Parsed entry
+     * @returns {string} Date string
+     */
+    formatDate(entry) {
+        const parts = entry.date.split(/[./-]/);
+        if (parts[0].length !== 4) {
+            return `${entry.date}, ${entry.time}${entry.meridiem ? ` ${entry.meridiem}M` : ''}`;
+        }
+        
+        const [year, month, day] = parts.map(part => parseInt(part));
+        const timeParts = entry.time.split(/[:.]/).map(part => parseInt(part));
+        let hour = timeParts[0];
+        const minute = timeParts[1];
+        const second = timeParts[2] || 0;
+        
+        if (entry.meridiem === 'P' && hour < 12) {
+            hour += 12;
+        } else if (entry.meridiem === 'A' && hour === 12) {
+            hour = 0;
+        }
+        
+        const pad = n => String(n).padStart(2, '0');
+        return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+    },
+    
+    /**
+     * Convert WhatsApp media placeholders into ConvoHelper's [Media: ...] / [Sticker: ...] format
+     * @param {string} text - Message text
+     * @returns {string} Converted content
+     */
+    convertContent(text) {
+        let content = text.replace(/\s*<This message was edited>$/, '');
+        
+        // Export without media
+        if (/^<Media omitted>$/i.test(content.trim())) {
+            return '[Media: Attachment]';
+        }
+        
+        const omitted = content.trim().match(/^(image|video|audio|GIF|sticker|document|Contact card) omitted$/i);
+        if (omitted) {
+            return this.mediaLabel(omitted[1].toLowerCase());
+        }
+        
+        // Export with media: "<attached: 00000012-PHOTO-....jpg>" (iOS) or "IMG-....jpg (file attached)" (Android)
+        const attached = content.match(/^<attached: ([^>]+)>/) || content.match(/^(\S+\.\w{2,4}) \(file attached\)/);
+        if (attached) {
+            const caption = content.substring(attached[0].length).trim();
+            const label = this.mediaLabel(this.getAttachmentKind(attached[1]), attached[1]);
+            return caption ? `${label} ${caption}` : label;
+        }
+        
+        return content;
+    },
+    
+    /**
+     * Guess the kind of an attached file from its name
+     * @param {string} fileName - Attachment file name
+     * @returns {string} Media kind
+     */
+    getAttachmentKind(fileName) {
+        const name = fileName.toLowerCase();
+        
+        if (name.includes('sticker') || name.startsWith('stk-') || name.endsWith('.webp')) return 'sticker';
+        if (/\.(jpe?g|png|heic)$/.test(name)) return 'image';
+        if (/\.(gif)$/.test(name) || name.includes('-gif-')) return 'gif';
+        if (/\.(mp4|mov|3gp)$/.test(name)) return 'video';
+        if (/\.(opus|ogg|m4a|mp3|aac)$/.test(name)) return 'audio';
+        return 'document';
+    },
+    
+    /**
+     * Build a placeholder for a media kind
+     * @param {string} kind - Media kind
+     * @param {string} fileName - Optional attachment file name
+     * @returns {string} Placeholder content
+     */
+    mediaLabel(kind, fileName = null) {
+        const labels = {
+            image: 'Photo',
+            video: 'Video',
+            audio: 'Audio',
+            gif: 'GIF',
+            document: 'Document',
+            'contact card': 'Contact Card'
+        };
+        
+        if (kind === 'sticker') {
+            const name = fileName ? fileName.replace(/\.\w+$/, '') : 'WhatsApp Sticker';
+            return `[Sticker: ${name}]`;
+        }
+        
+        return `[Media: ${labels[kind] || 'Attachment'}]`;
+    },
+    
+    /**
+     * Name the conversation from the export file name, falling back to its participants
+     * @param {Object} source - Import source
+     * @param {Array} senders - Unique sender names
+     * @returns {string} Conversation name
+     */
+    getConversationName(source, senders) {
+        const baseName = source.fileName.replace(/\.(txt|zip)$/i, '');
+        const match = baseName.match(/^WhatsApp Chat (?:with|-)\s*(.+)$/i);
+        
+        if (match) {
+            return match[1].trim();
+        }
+        
+        if (baseName !== '_chat' && baseName !== '') {
+            return baseName;
+        }
+        
+        return senders.length <= 3 ? senders.join(' & ') : `WhatsApp group (${senders.length} members)`;
+    }
+};
+
+Parser.registerImporter(ImporterWhatsApp);
@@ -0,0 +1,329 @@
+/**
+ * JSON Stream Module
+ * Reads JSON piece by piece, so exports of hundreds of MB never have to be held as one string and tree
+ * The reader walks the document's containers and asks which values to parse; only those are built,
+ * one at a time, e.g. each message of a conversation
+ */
+
+const JSONStream = {
+    chunkBytes: 1024 * 1024,  // Bytes read from the file at a time
+    
+    /**
+     * Create a reader
+     * handlers.visit(path, type) is called for every value before it is read, with its path of
+     * object keys and array indexes and its type (object, array, string or primitive), and returns:
+     *   - 'value': parse it and pass it to handlers.onValue(value, path)
+     *   - 'walk': visit its children (objects and arrays only)
+     *   - 'skip': read past it without building it or keeping its text
+     * handlers.leave(path), if given, is called when a container that was walked ends
+     * @param {Object} handlers - visit, onValue and optionally leave
+     * @returns {Object} Reader state for write and end
+     */
+    createReader(handlers) {
+        return {
+            handlers: handlers,
+            buffer: '',
+            offset: 0,  // Characters dropped from the start of the buffer, for error positions
+            pos: 0,
+            stack: [],  // Open containers: { type, key, state }
+            state: 'value',  // Top level: 'value' before the document, 'done' after it
+            value: null,  // Value being scanned: { path, action, kind, start, scan, depth, inString, escaped }
+            ended: false
+        };
+    },
+    
+    /**
+     * Read the next piece of the document
+     * @param {Object} reader - Reader from createReader
+     * @param {string} text - Next piece of text
+     */
+    write(reader, text) {
+        if (reader.offset === 0 && reader.buffer === '') {
+            text = text.replace(/^\uFEFF/, '');
+        }
+        reader.buffer += text;
+        this.read(reader);
+        
+        // Keep only what is still needed: the value being parsed or the token being read;
+        // a value being skipped needs none of its text (primitives are parsed and short)
+        const value = reader.value;
+        const keep = !value ? reader.pos
+            : value.action === 'skip' && value.kind !== 'primitive' ? value.scan
+            : value.start;
+        if (keep > 0) {
+            reader.buffer = reader.buffer.slice(keep);
+            reader.offset += keep;
+            reader.pos -= keep;
+            if (value) {
+                value.start = Math.max(value.start - keep, 0);
+                value.scan -= keep;
+            }
+        }
+    },
+    
+    /**
+     * Finish reading; throws if the document is incomplete
+     * @param {Object} reader - Reader from createReader
+     */
+    end(reader) {
+        reader.ended = true;
+        this.read(reader);
+        
+        if (reader.value || reader.stack.length > 0 || reader.state !== 'done') {
+            throw new Error('Failed to parse JSON: Unexpected end of JSON input');
+        }
+    },
+    
+    /**
+     * Read a file in chunks
+     * @param {Blob} file - File to read
+     * @param {Object} reader - Reader from createReader
+     * @param {Function} progress - Called with (bytes read, file size) after every chunk; may be async
+     * @returns {Promise<void>} Resolves when the whole file was read
+     */
+    async readFile(file, reader, progress = () => {}) {
+        const decoder = new TextDecoder('utf-8');
+        
+        for (let start = 0; start < file.size; start += this.chunkBytes) {
+            const bytes = await file.slice(start, start + this.chunkBytes).arrayBuffer();
+            this.write(reader, decoder.decode(bytes, { stream: true }));
+            await progress(Math.min(start + this.chunkBytes, file.size), file.size);
+        }
+        
+        this.write(reader, decoder.decode());
+        this.end(reader);
+    },
+    
+    /**
+     * Read as far as the buffer allows
+     * @param {Object} reader - Reader state
+     */
+    read(reader) {
+        while (true) {
+            if (reader.value) {
+                if (!this.scanValue(reader)) return;
+                continue;
+            }
+            
+            reader.pos = this.skipWhitespace(reader.buffer, reader.pos);
+            if (reader.pos >= reader.buffer.length) return;
+            
+            const char = reader.buffer[reader.pos];
+            const container = reader.stack[reader.stack.length - 1];
+            const state = container ? container.state : reader.state;
+            
+            if (state === 'done') {
+                this.fail(reader, char);
+            } else if (state === 'value' || state === 'value-or-end') {
+                if (state === 'value-or-end' && char === ']') {
+                    this.closeContainer(reader);
+                } else {
+                    this.startValue(reader, char);
+                }
+            } else if (state === 'key' || state === 'key-or-end') {
+                if (state === 'key-or-end' && char === '}') {
+                    this.closeContainer(reader);
+                    continue;
+                }
+                if (char !== '"') this.fail(reader, char);
+                
+                const end = this.findStringEnd(reader.buffer, reader.pos + 1);
+                if (end === -1) return;
+                container.key = JSON.parse(reader.buffer.slice(reader.pos, end + 1));
+                container.state = 'colon';
+                reader.pos = end + 1;
+            } else if (state === 'colon') {
+                if (char !== ':') this.fail(reader, char);
+                container.state = 'value';
+                reader.pos++;
+            } else if (char === ',') {
+                // 'comma-or-end'
+                container.state = container.type === 'object' ? 'key' : 'value';
+                if (container.type === 'array') {
+                    container.key++;
+                }
+                reader.pos++;
+            } else if (char === (container.type === 'object' ? '}' : ']')) {
+                this.closeContainer(reader);
+            } else {
+                this.fail(reader, char);
+            }
+        }
+    },
+    
+    /**
+     * Start reading a value: open it as a container or begin scanning it
+     * @param {Object} reader - Reader state
+     * @param {string} char - First character of the value
+     */
+    startValue(reader, char) {
+        const type = char === '{' ? 'object' : char === '[' ? 'array' : char === '"' ? 'string' : 'primitive';
+        if (type === 'primitive' && !/[-\dtfn]/.test(char)) {
+            this.fail(reader, char);
+        }
+        
+        const path = reader.stack.map(container => container.key);
+        let action = reader.handlers.visit(path, type);
+        if (action === 'walk' && (type === 'string' || type === 'primitive')) {
+            action = 'skip';
+        }
+        
+        if (action === 'walk') {
+            reader.stack.push({
+                type: type,
+                key: type === 'array' ? 0 : null,
+                state: type === 'array' ? 'value-or-end' : 'key-or-end'
+            });
+            reader.pos++;
+            return;
+        }
+        
+        reader.value = {
+            path: path,
+            action: action,
+            kind: type,
+            start: reader.pos,
+            scan: reader.pos,
+            depth: 0,
+            inString: false,
+            escaped: false
+        };
+    },
+    
+    /**
+     * Scan the current value to its end, then parse it if it was asked for
+     * @param {Object} reader - Reader state
+     * @returns {boolean} False if more text is needed
+     */
+    scanValue(reader) {
+        const value = reader.value;
+        const buffer = reader.buffer;
+        let end = -1;
+        let i = value.scan;
+        
+        for (; i < buffer.length; i++) {
+            const code = buffer.charCodeAt(i);
+            
+            if (value.kind === 'primitive') {
+                if (code === 44 || code === 125 || code === 93 || code <= 32) {  // , } ] or whitespace
+                    end = i;
+                    break;
+                }
+            } else if (value.inString) {
+                if (value.escaped) {
+                    value.escaped = false;
+                } else if (code === 92) {  // \
+                    value.escaped = true;
+                } else if (code === 34) {  // "
+                    value.inString = false;
+                    if (value.depth === 0) {
+                        end = i + 1;
+                        break;
+                    }
+                }
+            } else if (code === 34) {
+                value.inString = true;
+            } else if (code === 123 || code === 91) {  // { [
+                value.depth++;
+            } else if (code === 125 || code === 93) {  // } ]
+                value.depth--;
+                if (value.depth === 0) {
+                    end = i + 1;
+                    break;
+                }
+            }
+        }
+        
+        if (end === -1) {
+            if (value.kind === 'primitive' && reader.ended) {
+                end = buffer.length;
+            } else {
+                value.scan = i;
+                return false;
+            }
+        }
+        
+        let parsed;
+        try {
+            parsed = value.action === 'value' || value.kind === 'primitive'
+                ? JSON.parse(buffer.slice(value.start, end))
+                : null;
+        } catch (error) {
+            throw new Error(`Failed to parse JSON: ${error.message} in the value at position ${reader.offset + value.start}`);
+        }
+        
+        reader.value = null;
+        reader.pos = end;
+        if (value.action === 'value') {
+            reader.handlers.onValue(parsed, value.path);
+        }
+        this.valueDone(reader);
+        return true;
+    },
+    
+    /**
+     * Close the innermost container
+     * @param {Object} reader - Reader state
+     */
+    closeContainer(reader) {
+        reader.stack.pop();
+        reader.pos++;
+        if (reader.handlers.leave) {
+            reader.handlers.leave(reader.stack.map(container => container.key));
+        }
+        this.valueDone(reader);
+    },
+    
+    /**
+     * Expect a comma or the end of the container after a value
+     * @param {Object} reader - Reader state
+     */
+    valueDone(reader) {
+        const container = reader.stack[reader.stack.length - 1];
+        if (container) {
+            container.state = 'comma-or-end';
+        } else {
+            reader.state = 'done';
+        }
+    },
+    
+    /**
+     * Find the closing quote of a string
+     * @param {string} text - Text
+     * @param {number} start - Position after the opening quote
+     * @returns {number} Position of the closing quote, or -1 if it is not in the text yet
+     */
+    findStringEnd(text, start) {
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                return i;
+            }
+        }
+        return -1;
+    },
+    
+    /**
+     * Skip whitespace
+     * @param {string} text - Text
+     * @param {number} pos - Position to start at
+     * @returns {number} Position of the next other character
+     */
+    skipWhitespace(text, pos) {
+        while (pos < text.length && text.charCodeAt(pos) <= 32) {
+            pos++;
+        }
+        return pos;
+    },
+    
+    /**
+     * Stop at a character that does not belong here
+     * @param {Object} reader - Reader state
+     * @param {string} char - Unexpected character
+     */
+    fail(reader, char) {
+        throw new Error(`Failed to parse JSON: Unexpected "${char}" at position ${reader.offset + reader.pos}`);
+    }
+};
@@ -1,104 +1,548 @@
 /**
  * Parser Module
- * Handles JSON parsing and validation
+ * Handles importer detection, message parsing and validation
  */
 
 const Parser = {
     /**
-     * Parse and validate JSON data
-     * @param {string} jsonString - Raw JSON string
-     * @returns {Object} Parsed data object
+     * Registered importers, checked in registration order
      */
-    parseJSON(jsonString) {
-        try {
-            const data = JSON.parse(jsonString);
+    importers: [],
+    
+    /**
+     * Files larger than this are read piece by piece (see createFileSource)
+     */
+    streamThreshold: 50 * 1024 * 1024,
+    headBytes: 1024 * 1024,  // Start of a streamed file read up front for detection
+    
+    /**
+     * Date values recognised in the Date field (see getDateKind and detectDateFormat)
+     */
+    isoDateRegex: /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?$/,
+    isoZoneDateRegex: /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?\s*(?:Z|[+-]\d{2}:?\d{2})$/i,
+    // "31/12/2023 23:59", "12/31/2023, 11:59:59 PM", "31.12.23 23:59"
+    slashDateRegex: /^(\d{1,2})[./-](\d{1,2})[./-](\d{4}|\d{2}),?(?:\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?(?:\s*([AaPp])\.?\s?[Mm]\.?)?)?$/,
+    epochRegex: /^\d{9,14}(\.\d+)?$/,
+    dateFormatLabels: {
+        'iso': 'YYYY-MM-DD HH:mm:ss',
+        'iso-zone': 'ISO 8601 with time zone',
+        'dmy': 'DD/MM/YYYY',
+        'mdy': 'MM/DD/YYYY',
+        'epoch-s': 'Unix time (seconds)',
+        'epoch-ms': 'Unix time (milliseconds)',
+        'other': 'Other (read by the browser)'
+    },
+    
+    /**
+     * Register an importer for a chat export format
+     * An importer is an object with:
+     *   - id: unique identifier
+     *   - name: human readable name shown on the upload page
+     *   - extensions: file extensions it accepts (e.g. ['.json'])
+     *   - detect(source): returns true if it can read the source
+     *   - normalize(source, report): returns { personName: [{ Date, From, Content }] },
+     *     adding structure problems and skipped conversations to the validation report,
+     *     and group details with setConversationInfo when the format has them
+     *   - getConversationPath(personName): optional, JSON path of a conversation in the original file
+     *   - normalizeStream(source, report, progress, onConversation): optional, async normalize for files
+     *     too large to read at once (see createFileSource); calls `await progress(bytesRead, size)` as it
+     *     reads and onConversation(personName, messages) as soon as each conversation has been read
+     *   - localTime: optional, true if dates without a zone are the wall-clock time of the device that
+     *     made the export; they are read in the import's time zone, so known instants must carry a zone
+     * @param {Object} importer - Importer definition
+     */
+    registerImporter(importer) {
+        if (this.importers.some(existing => existing.id === importer.id)) {
+            console.warn(`Importer "${importer.id}" is already registered`);
+            return;
+        }
+        this.importers.push(importer);
+    },
+    
+    /**
+     * Get all file extensions accepted by the registered importers
+     * @returns {Array} Unique lowercase extensions
+     */
+    getSupportedExtensions() {
+        const extensions = new Set();
+        for (const importer of this.importers) {
+            (importer.extensions || []).forEach(ext => extensions.add(ext.toLowerCase()));
+        }
+        return Array.from(extensions);
+    },
+    
+    /**
+     * Check whether a file name has an extension some importer accepts
+     * @param {string} fileName - File name
+     * @returns {boolean} True if supported
+     */
+    isSupportedFile(fileName) {
+        const name = fileName.toLowerCase();
+        return this.getSupportedExtensions().some(ext => name.endsWith(ext));
+    },
+    
+    /**
+     * Create an import source from a loaded file
+     * @param {string} fileName - Original file name
+     * @param {string} text - File content as text
+     * @returns {Object} Source object passed to importers
+     */
+    createSource(fileName, text) {
+        return {
+            fileName: fileName,
+            text: text,
+            json: undefined
+        };
+    },
+    
+    /**
+     * Create an import source for a file too large to read at once
+     * Only importers with normalizeStream can read it; detect sees the start of the file as source.head
+     * @param {File} file - Uploaded file
+     * @param {string} head - First headBytes of the file as text
+     * @returns {Object} Source object passed to importers
+     */
+    createFileSource(file, head) {
+        return {
+            fileName: file.name,
+            text: null,
+            file: file,
+            head: head,
+            json: null
+        };
+    },
+    
+    /**
+     * Create an import source from an archive (e.g. a ZIP export)
+     * @param {string} fileName - Original archive name
+     * @param {Object} entries - Path mapped to text content of the archive's text files
+     * @returns {Object} Source object passed to importers
+     */
+    createArchiveSource(fileName, entries) {
+        return {
+            fileName: fileName,
+            text: null,
+            entries: entries,
+            json: undefined
+        };
+    },
+    
+    /**
+     * Get the parsed JSON content of a source (parsed once, then cached)
+     * @param {Object} source - Import source
+     * @returns {Object|null} Parsed JSON, or null if the source is not JSON
+     */
+    getSourceJSON(source) {
+        if (source.json === undefined) {
+            try {
+                source.json = source.text ? this.parseJSON(source.text) : null;
+            } catch (error) {
+                source.json = null;
+            }
+        }
+        return source.json;
+    },
+    
+    /**
+     * Find the first registered importer that recognises a source
+     * @param {Object} source - Import source
+     * @returns {Object|null} Matching importer
+     */
+    detectImporter(source) {
+        for (const importer of this.importers) {
+            if (source.file && !importer.normalizeStream) continue;
             
-            // Validate structure
-            if (!this.validateStructure(data)) {
-                throw new Error('Invalid JSON structure');
+            try {
+                if (importer.detect(source)) {
+                    return importer;
+                }
+            } catch (error) {
+                console.warn(`Importer "${importer.id}" failed to detect source:`, error);
+            }
+        }
+        return null;
+    },
+    
+    /**
+     * Detect the format of a source, normalize it and parse its messages
+     * A streamed file is parsed one conversation at a time, as it is read
+     * Errors thrown here carry the validation report as error.report
+     * @param {Object} source - Import source
+     * @param {Function} progress - Called with (bytesRead, size) while a large file is streamed (optional)
+     * @returns {Promise<Object>} { importer, conversations, conversationInfo, report } where conversations
+     *                            maps person names to parsed messages (see extractConversations)
+     */
+    async importSource(source, progress = () => {}) {
+        const report = this.createReport();
+        const fail = message => {
+            const error = new Error(message);
+            error.report = report;
+            return error;
+        };
+        
+        const importer = this.detectImporter(source);
+        if (!importer && source.file) {
+            const names = this.importers.filter(candidate => candidate.normalizeStream).map(candidate => candidate.name);
+            this.addReportError(report, '$', 'No importer can read this file in pieces');
+            throw fail(`${source.fileName} is over ${Math.round(this.streamThreshold / 1024 / 1024)}MB; files this large can only be read from a ${names.join(' or ')}`);
+        }
+        if (!importer) {
+            this.addReportError(report, '$', 'No importer recognised this file');
+            throw fail(`Unsupported file format: ${source.fileName}`);
+        }
+        
+        // Read every date with the format used across the file, e.g. day-first slash dates,
+        // and local times in the zone chosen for the file (the selected zone by default);
+        // a streamed file uses the format of its first conversation with dates
+        const order = source.dateOrder || null;
+        const timeZone = importer.localTime ? (source.timeZone || this.getTimezone()) : null;
+        const conversations = {};
+        let found = 0;
+        let valid = false;
+        
+        const extract = (rawConversations) => {
+            let dateFormat = report.dateFormat;
+            if (!dateFormat) {
+                dateFormat = { ...this.detectDateFormat(rawConversations, order), timeZone: timeZone };
+                if (Object.keys(dateFormat.counts).length > 0) {
+                    report.dateFormat = dateFormat;
+                }
             }
             
-            return data;
+            const normalized = this.normalizeDates(rawConversations, dateFormat);
+            found += Object.keys(normalized).length;
+            valid = this.checkMessages(normalized, report, importer) || valid;
+            this.extractConversations(normalized, conversations);
+        };
+        
+        source.conversationInfo = {};
+        try {
+            if (source.file) {
+                await importer.normalizeStream(source, report, progress, (name, messages) => extract({ [name]: messages }));
+            } else {
+                extract(importer.normalize(source, report) || {});
+            }
         } catch (error) {
-            console.error('Parse error:', error);
-            throw new Error(`Failed to parse JSON: ${error.message}`);
+            error.report = report;
+            throw error;
         }
+        
+        if (found === 0) {
+            throw fail(`No conversations found in ${source.fileName}`);
+        }
+        
+        report.dateFormat = report.dateFormat || { ...this.detectDateFormat({}, order), timeZone: timeZone };
+        for (const name in source.conversationInfo) {
+            const info = source.conversationInfo[name];
+            info.events = this.normalizeDates({ [name]: info.events }, report.dateFormat)[name];
+        }
+        
+        if (!valid) {
+            throw fail(`No valid messages found in ${source.fileName}`);
+        }
+        
+        return {
+            importer: importer,
+            conversations: conversations,
+            conversationInfo: source.conversationInfo,
+            report: report
+        };
     },
     
     /**
-     * Validate JSON structure
-     * @param {Object} data - Parsed JSON object
-     * @returns {boolean} True if valid
+     * Record the participants and member events of a conversation while normalizing
+     * @param {Object} source - Import source
+     * @param {string} name - Conversation name
+     * @param {Object} info - isGroup, participants (names) and events ({ Date, type: 'join'|'leave', member })
      */
-    validateStructure(data) {
-        // Check required hierarchy
-        if (!data['Direct Message']) {
-            console.error('Missing "Direct Message" key');
-            return false;
+    setConversationInfo(source, name, info) {
+        source.conversationInfo = source.conversationInfo || {};
+        source.conversationInfo[name] = {
+            isGroup: !!info.isGroup,
+            participants: info.participants || [],
+            events: info.events || []
+        };
+    },
+    
+    /**
+     * Merge conversation info from several imports, like extractConversations does for messages
+     * @param {Object} conversationInfo - Conversation name mapped to info
+     * @param {Object} merged - Info to merge into (optional)
+     * @returns {Object} Merged info
+     */
+    mergeConversationInfo(conversationInfo, merged = {}) {
+        for (const name in conversationInfo || {}) {
+            const info = conversationInfo[name];
+            const existing = merged[name] || { isGroup: false, participants: [], events: [] };
+            const eventKeys = new Set(existing.events.map(event => `${event.Date}|${event.type}|${event.member}`));
+            
+            merged[name] = {
+                isGroup: existing.isGroup || info.isGroup,
+                participants: Array.from(new Set([...existing.participants, ...info.participants])),
+                events: existing.events
+                    .concat(info.events.filter(event => !eventKeys.has(`${event.Date}|${event.type}|${event.member}`)))
+                    .sort((a, b) => String(a.Date).localeCompare(String(b.Date)))
+            };
         }
         
-        if (!data['Direct Message']['Direct Messages']) {
-            console.error('Missing "Direct Messages" key');
-            return false;
+        return merged;
+    },
+    
+    /**
+     * Create an empty validation report
+     * @returns {Object} Report with structure errors, skipped conversations and dropped messages
+     */
+    createReport() {
+        return {
+            valid: true,
+            errors: [],
+            skippedConversations: [],
+            droppedMessages: {
+                count: 0,
+                byReason: {},
+                examples: []
+            },
+            quarantine: [],  // Raw messages whose date could not be read, kept for the report
+            dateFormat: null
+        };
+    },
+    
+    /**
+     * Record a structure problem that prevents the file from being imported
+     * @param {Object} report - Validation report
+     * @param {string} path - JSON path of the problem
+     * @param {string} message - Description
+     */
+    addReportError(report, path, message) {
+        report.valid = false;
+        report.errors.push({ path: path, message: message });
+    },
+    
+    /**
+     * Record a conversation that was left out of the import
+     * @param {Object} report - Validation report
+     * @param {string} name - Conversation name or key
+     * @param {string} path - JSON path of the conversation
+     * @param {string} reason - Why it was skipped
+     */
+    addSkippedConversation(report, name, path, reason) {
+        report.skippedConversations.push({ name: name, path: path, reason: reason });
+    },
+    
+    /**
+     * Record a message that will not be imported
+     * @param {Object} report - Validation report
+     * @param {string} path - Location of the message
+     * @param {string} reason - Why it was dropped
+     */
+    addDroppedMessage(report, path, reason) {
+        const maxExamples = 20;
+        const dropped = report.droppedMessages;
+        
+        dropped.count++;
+        dropped.byReason[reason] = (dropped.byReason[reason] || 0) + 1;
+        if (dropped.examples.length < maxExamples) {
+            dropped.examples.push({ path: path, reason: reason });
         }
+    },
+    
+    /**
+     * Build a JSON path such as $["Direct Message"]["ChatHistory"][3]
+     * @param {...(string|number)} keys - Object keys and array indexes
+     * @returns {string} JSON path
+     */
+    jsonPath(...keys) {
+        return '$' + keys.map(key => `[${typeof key === 'number' ? key : JSON.stringify(key)}]`).join('');
+    },
+    
+    /**
+     * Check every normalized message, counting the ones extraction will drop
+     * Conversations left without valid messages are reported as skipped
+     * @param {Object} conversations - Person name mapped to raw messages
+     * @param {Object} report - Validation report
+     * @param {Object} importer - Importer that produced the conversations
+     * @returns {boolean} True if at least one message is valid
+     */
+    checkMessages(conversations, report, importer) {
+        let validTotal = 0;
         
-        if (!data['Direct Message']['Direct Messages']['ChatHistory']) {
-            console.error('Missing "ChatHistory" key');
-            return false;
+        for (const personName in conversations) {
+            const path = importer.getConversationPath
+                ? importer.getConversationPath(personName)
+                : this.jsonPath(personName);
+            let validCount = 0;
+            
+            conversations[personName].forEach((msg, index) => {
+                const problem = this.getMessageProblem(msg);
+                if (!problem) {
+                    validCount++;
+                    return;
+                }
+                
+                this.addDroppedMessage(report, `${path}[${index}]`, problem);
+                if (problem === 'Unparseable date') {
+                    report.quarantine.push({ path: `${path}[${index}]`, conversation: personName, message: msg });
+                }
+            });
+            
+            if (validCount === 0) {
+                const reason = conversations[personName].length === 0 ? 'No messages' : 'No valid messages';
+                this.addSkippedConversation(report, personName, path, reason);
+            }
+            validTotal += validCount;
         }
         
-        const chatHistory = data['Direct Message']['Direct Messages']['ChatHistory'];
+        return validTotal > 0;
+    },
+    
+    /**
+     * Parse a JSON string
+     * @param {string} jsonString - Raw JSON string
+     * @returns {Object} Parsed data object
+     */
+    parseJSON(jsonString) {
+        try {
+            return JSON.parse(jsonString);
+        } catch (error) {
+            throw new Error(`Failed to parse JSON: ${error.message}`);
+        }
+    },
+    
+    /**
+     * Validate TikTok JSON export structure
+     * Missing hierarchy levels are errors; malformed conversations are skipped
+     * @param {Object} data - Parsed JSON object
+     * @param {Object} report - Validation report to add to (optional)
+     * @returns {Object} Validation report; report.valid is false if nothing can be imported
+     */
+    validateStructure(data, report = this.createReport()) {
+        // Check required hierarchy
+        const hierarchy = ['Direct Message', 'Direct Messages', 'ChatHistory'];
+        let node = data;
         
-        // Check if there are any conversations
-        if (Object.keys(chatHistory).length === 0) {
-            console.error('No conversations found');
-            return false;
+        for (let i = 0; i < hierarchy.length; i++) {
+            if (!node || typeof node !== 'object' || !node[hierarchy[i]]) {
+                this.addReportError(report, this.jsonPath(...hierarchy.slice(0, i)), `Missing "${hierarchy[i]}" key`);
+                return report;
+            }
+            node = node[hierarchy[i]];
         }
         
+        const chatHistory = node;
+        let validConversations = 0;
+        
         // Validate conversation keys
         for (const key in chatHistory) {
-            if (!key.startsWith('Chat History with ') || !key.endsWith(':')) {
-                console.error(`Invalid conversation key: ${key}`);
-                return false;
-            }
-            
-            if (!Array.isArray(chatHistory[key])) {
-                console.error(`Conversation ${key} is not an array`);
-                return false;
+            const problem = this.getConversationProblem(key, Array.isArray(chatHistory[key]));
+            if (problem) {
+                this.addSkippedConversation(report, key, this.jsonPath(...hierarchy, key), problem);
+            } else {
+                validConversations++;
             }
         }
         
-        return true;
+        // Check if there are any conversations
+        if (validConversations === 0) {
+            this.addReportError(report, this.jsonPath(...hierarchy), 'No conversations found');
+        }
+        
+        return report;
     },
     
     /**
-     * Extract conversations from parsed data
-     * @param {Object} data - Parsed JSON object
+     * Check a conversation of the TikTok ChatHistory object
+     * @param {string} key - Conversation key
+     * @param {boolean} isArray - Whether the conversation is an array
+     * @returns {string|null} Why the conversation is skipped, or null if it is valid
+     */
+    getConversationProblem(key, isArray) {
+        if (!key.startsWith('Chat History with ') || !key.endsWith(':')) {
+            return 'Invalid conversation key, expected "Chat History with [name]:"';
+        }
+        return isArray ? null : 'Conversation is not an array';
+    },
+    
+    /**
+     * Extract conversations from normalized importer output
+     * When merging into conversations from other exports, messages already present
+     * (same timestamp, sender and content) are skipped
+     * @param {Object} rawConversations - Person name mapped to raw { Date, From, Content } messages
+     * @param {Object} merged - Parsed conversations to merge into (optional)
      * @returns {Object} Object with conversations
      */
-    extractConversations(data) {
-        const chatHistory = data['Direct Message']['Direct Messages']['ChatHistory'];
-        const conversations = {};
-        
-        for (const key in chatHistory) {
-            // Extract person name from key
-            const personName = key.replace('Chat History with ', '').replace(':', '');
-            const messages = chatHistory[key];
-            
+    extractConversations(rawConversations, merged = {}) {
+        for (const personName in rawConversations) {
             // Validate and parse messages
-            const validMessages = [];
-            for (const msg of messages) {
-                if (this.validateMessage(msg)) {
-                    validMessages.push(this.parseMessage(msg));
-                }
-            }
+            const messages = rawConversations[personName]
+                .filter(msg => this.validateMessage(msg))
+                .map(msg => this.parseMessage(msg, personName));
             
-            if (validMessages.length > 0) {
-                conversations[personName] = validMessages;
+            this.mergeMessages(personName, messages, merged);
+        }
+        
+        return merged;
+    },
+    
+    /**
+     * Add parsed messages to a conversation, leaving out the ones it already has
+     * @param {string} personName - Conversation name
+     * @param {Array} messages - Parsed messages
+     * @param {Object} merged - Person name mapped to parsed messages; changed in place
+     * @returns {number} Messages added
+     */
+    mergeMessages(personName, messages, merged) {
+        const existing = merged[personName] || [];
+        
+        // Count keys rather than using a set, so repeated messages within one export are kept
+        const existingKeys = new Map();
+        for (const msg of existing) {
+            const key = this.getMessageKey(msg);
+            existingKeys.set(key, (existingKeys.get(key) || 0) + 1);
+        }
+        
+        const newMessages = messages.filter(msg => {
+            const key = this.getMessageKey(msg);
+            if (existingKeys.get(key) > 0) {
+                existingKeys.set(key, existingKeys.get(key) - 1);
+                return false;
             }
+            return true;
+        });
+        
+        if (newMessages.length === 0) return 0;
+        
+        merged[personName] = existing.length > 0
+            ? existing.concat(newMessages).sort((a, b) => a.timestamp - b.timestamp)
+            : newMessages;
+        return newMessages.length;
+    },
+    
+    /**
+     * Turn parsed conversations back into importer output, e.g. to merge new exports into a saved dataset
+     * @param {Object} conversations - Person name mapped to parsed messages
+     * @returns {Object} Person name mapped to { Date, From, Content } messages
+     */
+    toNormalizedConversations(conversations) {
+        const normalized = {};
+        
+        for (const personName in conversations) {
+            normalized[personName] = conversations[personName].map(msg => ({
+                Date: this.formatTimestamp(msg.timestamp),
+                From: msg.from,
+                Content: msg.rawContent
+            }));
         }
         
-        return conversations;
+        return normalized;
+    },
+    
+    /**
+     * Build the key used to recognise the same message in overlapping exports
+     * @param {Object} message - Parsed message
+     * @returns {string} Message key
+     */
+    getMessageKey(message) {
+        return `${message.timestamp}|${message.from}|${message.content}`;
     },
     
     /**
@@ -107,108 +551,540 @@ const Parser = {
      * @returns {boolean} True if valid
      */
     validateMessage(message) {
-        if (!message.Date || !message.From || message.Content === undefined) {
-            return false;
+        return this.getMessageProblem(message) === null;
+    },
+    
+    /**
+     * Find why a message cannot be parsed
+     * @param {Object} message - Message object
+     * @returns {string|null} Reason, or null if the message is valid
+     */
+    getMessageProblem(message) {
+        if (!message || typeof message !== 'object') {
+            return 'Not a message object';
+        }
+        if (!message.Date) {
+            return 'Missing Date';
+        }
+        if (!message.From) {
+            return 'Missing From';
         }
-        return true;
+        if (message.Content === undefined) {
+            return 'Missing Content';
+        }
+        if (isNaN(this.parseDateString(message.Date))) {
+            return 'Unparseable date';
+        }
+        return null;
     },
     
     /**
      * Parse individual message
+     * `timestamp` is the real instant; the date fields are wall-clock values in the time zone
+     * that applies to the message (see resolveTimezone)
      * @param {Object} message - Raw message object
+     * @param {string} personName - Conversation the message belongs to (optional)
      * @returns {Object} Parsed message with additional fields
      */
-    parseMessage(message) {
-        // Offset, in hours - safe access with multiple fallbacks
-        let timezoneOffset = 0;
-        try {
-            timezoneOffset = window.convoHelper?.timezoneOffset || 
-                            window.appData?.timezoneOffset || 
-                            0;
-        } catch (error) {
-            console.warn('Unable to access timezone offset, using 0:', error);
-            timezoneOffset = 0;
-        }
+    parseMessage(message, personName = null) {
+        const timestamp = this.parseDateString(message.Date);
         
-        const date = new Date(message.Date.replace(' ', 'T'));
-        // Apply timezone offset
-        date.setHours(date.getHours() + timezoneOffset);
-
-        const { processedContent, messageType } = this.processContent(message.Content);
+        const { processedContent, messageType, subtype, urls, platformId } = this.processContent(message.Content);
         return {
-            date: date,
-            timestamp: date.getTime(),
+            timestamp: timestamp,
             from: message.From,
             content: processedContent,
+            rawContent: message.Content, // Original text, before links and media were cleaned up
             type: messageType,
+            subtype: subtype,
+            urls: urls,
+            platformId: platformId, // e.g. the TikTok video ID; the subtype says which platform
+            ...this.getDateFields(timestamp, personName)
+        };
+    },
+    
+    /**
+     * Compute the date fields of a message in the time zone that applies to it
+     * @param {number} timestamp - Timestamp in milliseconds
+     * @param {string} personName - Conversation the message belongs to (optional)
+     * @returns {Object} date, week, year, month, day, hour, dayOfWeek, timezone, timezoneRule
+     */
+    getDateFields(timestamp, personName = null) {
+        const { timeZone, rule } = this.resolveTimezone(timestamp, personName);
+        const parts = this.getZonedParts(timestamp, timeZone);
+        
+        // Local Date with the zone's wall-clock time, for display and calendar arithmetic
+        const date = new Date(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+        
+        return {
+            date: date,
             // ISO week number
             week: this.getISOWeek(date),
-            year: date.getFullYear(),
-            month: date.getMonth(), // 0-11
-            day: date.getDate(),
-            hour: date.getHours(),
-            dayOfWeek: date.getDay() // 0 (Sunday) - 6 (Saturday)
+            year: parts.year,
+            month: parts.month, // 0-11
+            day: parts.day,
+            hour: parts.hour,
+            dayOfWeek: parts.dayOfWeek, // 0 (Sunday) - 6 (Saturday)
+            timezone: timeZone,
+            timezoneRule: rule // Index into the timezone rules, -1 for the selected zone
+        };
+    },
+    
+    /**
+     * Recompute the date fields of parsed messages after the time zone changed
+     * Messages are updated in place; `timestamp` stays the same
+     * @param {Object} conversations - Person name mapped to parsed messages
+     */
+    reprojectConversations(conversations) {
+        for (const personName in conversations) {
+            for (const msg of conversations[personName]) {
+                Object.assign(msg, this.getDateFields(msg.timestamp, personName));
+            }
+        }
+    },
+    
+    /**
+     * Parse a message date into a timestamp
+     * Dates without a zone are UTC, which is how importers write them when the instant is known,
+     * unless a time zone is given for local wall-clock times (see localTime in registerImporter)
+     * @param {string|number} dateString - e.g. "2025-10-26 17:35:24", "26/10/2025 17:35", 1761500124
+     * @param {string} order - 'dmy' or 'mdy' for slash dates (optional, guessed from the value otherwise)
+     * @param {string} timeZone - IANA zone of dates without a zone (optional, UTC otherwise)
+     * @returns {number} Timestamp in milliseconds (NaN if unparseable)
+     */
+    parseDateString(dateString, order = null, timeZone = null) {
+        const text = String(dateString).trim();
+        const kind = this.getDateKind(text);
+        
+        if (kind === 'epoch-s' || kind === 'epoch-ms') {
+            const value = parseFloat(text);
+            return Math.round(kind === 'epoch-s' ? value * 1000 : value);
+        }
+        
+        if (kind === 'iso') {
+            const match = text.match(this.isoDateRegex);
+            return this.getZonedTimestamp(this.getUTCTimestamp(
+                parseInt(match[1]), parseInt(match[2]), parseInt(match[3]),
+                parseInt(match[4] || 0), parseInt(match[5] || 0), parseInt(match[6] || 0),
+                match[7] ? Math.round(parseFloat(match[7]) * 1000) : 0
+            ), timeZone);
+        }
+        
+        if (kind === 'iso-zone') {
+            // "2025-10-26 17:35:24 +0200" --> "2025-10-26T17:35:24+02:00"
+            return Date.parse(text
+                .replace(/^(\S+)[ T](\S+?)\s*(Z|[+-]\d{2}:?\d{2})$/i, '$1T$2$3')
+                .replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+        }
+        
+        if (kind === 'slash') {
+            const match = text.match(this.slashDateRegex);
+            const first = parseInt(match[1]);
+            const second = parseInt(match[2]);
+            const meridiem = match[7] ? match[7].toUpperCase() : null;
+            
+            if (!order) {
+                order = first > 12 ? 'dmy' : second > 12 || meridiem ? 'mdy' : 'dmy';
+            }
+            const [day, month] = order === 'mdy' ? [second, first] : [first, second];
+            
+            let year = parseInt(match[3]);
+            if (year < 100) {
+                year += 2000;
+            }
+            
+            let hour = parseInt(match[4] || 0);
+            if (meridiem === 'P' && hour < 12) {
+                hour += 12;
+            } else if (meridiem === 'A' && hour === 12) {
+                hour = 0;
+            }
+            
+            return this.getZonedTimestamp(
+                this.getUTCTimestamp(year, month, day, hour, parseInt(match[5] || 0), parseInt(match[6] || 0)),
+                timeZone
+            );
+        }
+        
+        return Date.parse(text);
+    },
+    
+    /**
+     * Tell which kind of date a value is
+     * @param {string|number} value - Date value
+     * @returns {string} 'epoch-s', 'epoch-ms', 'iso', 'iso-zone', 'slash' or 'other'
+     */
+    getDateKind(value) {
+        const text = String(value).trim();
+        
+        if (this.epochRegex.test(text)) {
+            // Seconds reach 11 digits in the year 5138; milliseconds have 12+ digits after 1973
+            return text.split('.')[0].length <= 11 ? 'epoch-s' : 'epoch-ms';
+        }
+        if (this.isoDateRegex.test(text)) return 'iso';
+        if (this.isoZoneDateRegex.test(text)) return 'iso-zone';
+        if (this.slashDateRegex.test(text)) return 'slash';
+        return 'other';
+    },
+    
+    /**
+     * Build a UTC timestamp, rejecting impossible dates such as 31/02 instead of rolling them over
+     * @returns {number} Timestamp in milliseconds (NaN if invalid)
+     */
+    getUTCTimestamp(year, month, day, hour = 0, minute = 0, second = 0, ms = 0) {
+        const timestamp = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+        const date = new Date(timestamp);
+        
+        const valid = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+            hour < 24 && minute < 60 && second < 60;
+        return valid ? timestamp : NaN;
+    },
+    
+    /**
+     * Find the instant a wall-clock time in a time zone refers to
+     * Times repeated when DST ends are read as the first of the two; times skipped when it
+     * starts are moved forward by the change, as clocks do
+     * @param {number} wallClock - The wall-clock time as a UTC timestamp, e.g. from getUTCTimestamp
+     * @param {string} timeZone - IANA time zone name (optional, the wall-clock time is UTC otherwise)
+     * @returns {number} Timestamp in milliseconds (NaN if wallClock is NaN)
+     */
+    getZonedTimestamp(wallClock, timeZone) {
+        if (!timeZone || isNaN(wallClock)) return wallClock;
+        
+        const day = 24 * 60 * 60 * 1000;
+        const before = this.getZoneOffset(wallClock - day, timeZone);
+        const after = this.getZoneOffset(wallClock + day, timeZone);
+        
+        for (const offset of [before, after]) {
+            if (this.getZoneOffset(wallClock - offset, timeZone) === offset) {
+                return wallClock - offset;
+            }
+        }
+        return wallClock - before;
+    },
+    
+    /**
+     * Detect the date format of an import from all of its Date values
+     * Day/month order is only known from values above 12; ambiguous 12-hour dates are read as US
+     * @param {Object} conversations - Person name mapped to raw messages
+     * @param {string} order - 'dmy' or 'mdy' chosen by the user (optional)
+     * @returns {Object} id, label, order, ambiguous, hasSlashDates, mixed, example and counts by kind;
+     *                   importSource adds timeZone, the zone of local times (null if there are none)
+     */
+    detectDateFormat(conversations, order = null) {
+        const counts = {};
+        const examples = {};
+        let firstOver12 = false;
+        let secondOver12 = false;
+        let uses12HourClock = false;
+        
+        for (const personName in conversations) {
+            for (const msg of conversations[personName]) {
+                if (!msg || msg.Date === undefined || msg.Date === null || msg.Date === '') continue;
+                
+                const kind = this.getDateKind(msg.Date);
+                counts[kind] = (counts[kind] || 0) + 1;
+                examples[kind] = examples[kind] || String(msg.Date);
+                
+                if (kind === 'slash') {
+                    const match = String(msg.Date).trim().match(this.slashDateRegex);
+                    if (parseInt(match[1]) > 12) firstOver12 = true;
+                    if (parseInt(match[2]) > 12) secondOver12 = true;
+                    if (match[7]) uses12HourClock = true;
+                }
+            }
+        }
+        
+        const kinds = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+        const slashOrder = order || (firstOver12 ? 'dmy' : secondOver12 ? 'mdy' : uses12HourClock ? 'mdy' : 'dmy');
+        const id = kinds[0] === 'slash' ? slashOrder : (kinds[0] || 'iso');
+        
+        let label = this.dateFormatLabels[id];
+        if (id === 'dmy' || id === 'mdy') {
+            label += uses12HourClock ? ' hh:mm AM/PM' : ' HH:mm';
+        }
+        
+        return {
+            id: id,
+            label: label,
+            order: slashOrder,
+            ambiguous: !!counts.slash && !order && !firstOver12 && !secondOver12,
+            hasSlashDates: !!counts.slash,
+            mixed: kinds.length > 1,
+            example: examples[kinds[0]] || null,
+            counts: counts
+        };
+    },
+    
+    /**
+     * Rewrite Date values as "YYYY-MM-DD HH:mm:ss" (UTC) using the detected format
+     * Values that cannot be read are left as they are, so validation quarantines them
+     * @param {Object} conversations - Person name mapped to raw messages (or anything with a Date)
+     * @param {Object} dateFormat - Format from detectDateFormat, with the timeZone of local times
+     * @returns {Object} New conversations; the importer's message objects are not changed
+     */
+    normalizeDates(conversations, dateFormat) {
+        const normalized = {};
+        
+        for (const personName in conversations) {
+            normalized[personName] = conversations[personName].map(msg => {
+                if (!msg || typeof msg !== 'object' || msg.Date === undefined || msg.Date === null || msg.Date === '') {
+                    return msg;
+                }
+                
+                const timestamp = this.parseDateString(msg.Date, dateFormat.order, dateFormat.timeZone);
+                return isNaN(timestamp) ? msg : { ...msg, Date: this.formatTimestamp(timestamp) };
+            });
+        }
+        
+        return normalized;
+    },
+    
+    /**
+     * Format a timestamp as "YYYY-MM-DD HH:mm:ss" in UTC, keeping milliseconds when there are any
+     * @param {number} timestamp - Timestamp in milliseconds
+     * @returns {string} Formatted date
+     */
+    formatTimestamp(timestamp) {
+        return new Date(timestamp).toISOString().replace('T', ' ').replace(/(\.000)?Z$/, '');
+    },
+    
+    /**
+     * Get the selected IANA time zone
+     * @returns {string} Time zone name, e.g. "Europe/Berlin"
+     */
+    getTimezone() {
+        try {
+            return window.convoHelper?.timezone || 'UTC';
+        } catch (error) {
+            console.warn('Unable to access timezone, using UTC:', error);
+            return 'UTC';
+        }
+    },
+    
+    /**
+     * Get the date-ranged timezone rules
+     * Each rule is { timeZone, from, until, contact }: `from` (inclusive) and `until` (exclusive)
+     * are "YYYY-MM-DD" dates at UTC midnight or empty for open-ended, `contact` is empty for everyone
+     * @returns {Array} Rules in priority order
+     */
+    getTimezoneRules() {
+        try {
+            return window.convoHelper?.timezoneRules || [];
+        } catch (error) {
+            return [];
+        }
+    },
+    
+    /**
+     * Cached rule bounds, keyed by rule object
+     */
+    ruleBounds: new WeakMap(),
+    
+    /**
+     * Find the time zone for a message: the first matching rule for its contact,
+     * then the first matching rule for everyone, then the selected zone
+     * @param {number} timestamp - Timestamp in milliseconds
+     * @param {string} personName - Conversation the message belongs to (optional)
+     * @returns {Object} { timeZone, rule } where rule is the rule index or -1
+     */
+    resolveTimezone(timestamp, personName = null) {
+        const rules = this.getTimezoneRules();
+        let fallback = -1;
+        
+        for (let i = 0; i < rules.length; i++) {
+            const rule = rules[i];
+            if (rule.contact && rule.contact !== personName) continue;
+            
+            let bounds = this.ruleBounds.get(rule);
+            if (!bounds) {
+                bounds = {
+                    from: rule.from ? Date.parse(rule.from + 'T00:00:00Z') : -Infinity,
+                    until: rule.until ? Date.parse(rule.until + 'T00:00:00Z') : Infinity
+                };
+                this.ruleBounds.set(rule, bounds);
+            }
+            if (timestamp < bounds.from || timestamp >= bounds.until) continue;
+            
+            if (rule.contact) {
+                return { timeZone: rule.timeZone, rule: i };
+            }
+            if (fallback === -1) {
+                fallback = i;
+            }
+        }
+        
+        if (fallback !== -1) {
+            return { timeZone: rules[fallback].timeZone, rule: fallback };
+        }
+        return { timeZone: this.getTimezone(), rule: -1 };
+    },
+    
+    /**
+     * Cached Intl formatters per time zone
+     */
+    zoneFormatters: {},
+    
+    /**
+     * Cached UTC offsets per time zone and quarter hour
+     */
+    zoneOffsets: new Map(),
+    
+    /**
+     * Check whether Intl knows a time zone
+     * @param {string} timeZone - IANA time zone name
+     * @returns {boolean} True if supported
+     */
+    isValidTimezone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+    
+    /**
+     * Get a zone's UTC offset at an instant, following its DST rules
+     * Offsets only change on quarter-hour boundaries, so they are cached per quarter hour
+     * @param {number} timestamp - Timestamp in milliseconds
+     * @param {string} timeZone - IANA time zone name
+     * @returns {number} Offset in milliseconds (e.g. 19800000 for GMT+5:30)
+     */
+    getZoneOffset(timestamp, timeZone) {
+        if (timeZone === 'UTC' || isNaN(timestamp)) return 0;
+        
+        const quarter = 15 * 60 * 1000;
+        const bucket = Math.floor(timestamp / quarter) * quarter;
+        const key = `${timeZone}|${bucket}`;
+        
+        let offset = this.zoneOffsets.get(key);
+        if (offset === undefined) {
+            if (!this.zoneFormatters[timeZone]) {
+                this.zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                    timeZone: timeZone,
+                    hourCycle: 'h23',
+                    year: 'numeric',
+                    month: 'numeric',
+                    day: 'numeric',
+                    hour: 'numeric',
+                    minute: 'numeric',
+                    second: 'numeric'
+                });
+            }
+            
+            const parts = {};
+            for (const part of this.zoneFormatters[timeZone].formatToParts(new Date(bucket))) {
+                parts[part.type] = parseInt(part.value);
+            }
+            
+            const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+            offset = wallClock - bucket;
+            this.zoneOffsets.set(key, offset);
+        }
+        
+        return offset;
+    },
+    
+    /**
+     * Get the wall-clock date and time of an instant in a time zone
+     * @param {number} timestamp - Timestamp in milliseconds
+     * @param {string} timeZone - IANA time zone name
+     * @returns {Object} year, month (0-11), day, hour, minute, second, dayOfWeek (0 = Sunday)
+     */
+    getZonedParts(timestamp, timeZone) {
+        let offset = 0;
+        try {
+            offset = this.getZoneOffset(timestamp, timeZone);
+        } catch (error) {
+            console.warn(`Unknown time zone "${timeZone}", using UTC:`, error);
+        }
+        
+        const wallClock = new Date(timestamp + offset);
+        return {
+            year: wallClock.getUTCFullYear(),
+            month: wallClock.getUTCMonth(),
+            day: wallClock.getUTCDate(),
+            hour: wallClock.getUTCHours(),
+            minute: wallClock.getUTCMinutes(),
+            second: wallClock.getUTCSeconds(),
+            dayOfWeek: wallClock.getUTCDay()
         };
     },
     
     /**
      * Detect message type based on content
+     * The first registered classifier that recognises the content decides its type and subtype
      * @param {string} content - Message content
-     * @returns {Object} Processed content and type
+     * @returns {Object} Processed content, type, subtype, URLs and platform ID
      */
     processContent(content) {
-        // Replace sticker, media, and link into desired format, cleaner
-        let cleanContent = content;
-        const decode = str => decodeURIComponent(str);
-
-        // 1, Sticker handling --> sticker
-        // Example: "[https://media.tenor.com/HtqnVrUcTecAAAAl/plink-cat-blink.webp]" --> "[Sticker: plink-cat-blink]"
-        // Example 2: "[https://media.tenor.com/YjLre9jqK4IAAAAl/h%E1%BA%A3-l%C3%A0-sao.webp]" --> "[Sticker: hả-là-sao]"
-        // const stickerRegex = /\[https?:\/\/[^\]]*\/([a-zA-Z0-9-_]+)\.(webp|gif|png|jpg|jpeg)\]/g;
-        const stickerRegex = /\[https?:\/\/[^\]]*\/([^\/\]]+?)\.(webp|gif|png|jpg|jpeg)\]/g;
-        cleanContent = cleanContent.replace(stickerRegex, (match, p1) => {
-            // try decode p1
-            return `[Sticker: ${decode(p1)}]`;
-        });
-        // 2, Tiktok Video --> media
-        // Example: "https://www.tiktokv.com/share/video/7555462846398631176/" --> "[Media: TikTok Video]"
-        const tiktokRegex = /https?:\/\/(?:www\.|m\.)?tiktok(?:v)?\.com\/(?:share\/video\/|@[\w.-]+\/video\/)(\d+)(?:[/?#&].*)?/gi;
-        cleanContent = cleanContent.replace(tiktokRegex, (match, p1) => {
-            return `[Media: TikTok Video]`;
-        });
-
-        // 3, Link handling --> either a media (video/image) or link
-        const linkRegex = /https?:\/\/[^\s]+/g;
-        
-        // Determine type
-        if (cleanContent.trim() === '') {
-            return { processedContent: '', messageType: 'empty' };
-        } else if (stickerRegex.test(content)) {
-            return { processedContent: cleanContent, messageType: 'sticker' };
-        } else if (tiktokRegex.test(content)) {
-            return { processedContent: cleanContent, messageType: 'media' };
-        } else if (linkRegex.test(content)) {
-            // Check if any media links were found
-            const mediaExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.mp4', '.mov', '.avi'];
-            const links = content.match(linkRegex) || [];
-            // either a media (video/image) or link
-            for (const link of links) {
-                for (const ext of mediaExtensions) {
-                    if (link.toLowerCase().endsWith(ext)) {
-                        return { processedContent: cleanContent, messageType: 'media' };
-                    }
-                }
+        if (content.trim() === '') {
+            return { processedContent: '', messageType: 'empty', subtype: 'empty', urls: [], platformId: null };
+        }
+        
+        const urls = this.extractUrls(content);
+        
+        for (const classifier of this.classifiers) {
+            const processedContent = classifier.classify(content);
+            if (processedContent !== null) {
+                return {
+                    processedContent: processedContent,
+                    messageType: classifier.type,
+                    subtype: classifier.id,
+                    urls: urls,
+                    platformId: classifier.getId ? classifier.getId(content) : null
+                };
             }
-            // Get the base path only
-            const urlObj = new URL(links[0]);
-            cleanContent = "[Link: " + urlObj.hostname + urlObj.pathname + "]";
-            return { processedContent: cleanContent, messageType: 'link' };
-        } else {
-            return { processedContent: cleanContent, messageType: 'text' };
         }
+        
+        return { processedContent: content, messageType: 'text', subtype: 'text', urls: urls, platformId: null };
+    },
+    
+    /**
+     * Extract the URLs in a message, including ones wrapped in brackets
+     * @param {string} content - Message content
+     * @returns {Array} URLs in order of appearance
+     */
+    extractUrls(content) {
+        return (content.match(/https?:\/\/[^\s<>"\]]+/g) || [])
+            .map(url => url.replace(/[.,;:!?)]+$/, ''));
     },
-
     
+    /**
+     * Registered content classifiers, checked in registration order
+     */
+    classifiers: [],
+    
+    /**
+     * Register a content classifier
+     * A classifier is an object with:
+     *   - id: unique identifier, used as the message subtype (e.g. 'spotify-track')
+     *   - type: message type it belongs to: 'text', 'link', 'media' or 'sticker'
+     *   - label: plural name shown in content breakdowns (e.g. 'Spotify songs')
+     *   - icon: emoji shown next to the label
+     *   - classify(content): returns the cleaned content if it recognises the message, otherwise null
+     *   - getId(content): optional, returns the platform ID of the shared item (e.g. a video ID)
+     * @param {Object} classifier - Classifier definition
+     */
+    registerClassifier(classifier) {
+        if (this.classifiers.some(existing => existing.id === classifier.id)) {
+            console.warn(`Classifier "${classifier.id}" is already registered`);
+            return;
+        }
+        this.classifiers.push(classifier);
+    },
+    
+    /**
+     * Find a classifier by its id
+     * @param {string} id - Classifier id (message subtype)
+     * @returns {Object|null} Classifier
+     */
+    getClassifier(id) {
+        return this.classifiers.find(classifier => classifier.id === id) || null;
+    },
+    
+
     /**
      * Get ISO week number for a date
      * @param {Date} date - Date object
@@ -0,0 +1,178 @@
+/**
+ * Pipeline Tasks Module
+ * Importing and processing as plain functions, run by the pipeline worker or,
+ * where workers are unavailable, on the main thread (see Pipeline)
+ * Tasks call `await progress(step, done, total, label)` as they go; on the main thread
+ * that lets the page repaint and stops the task when it is cancelled
+ */
+
+const PipelineTasks = {
+    // Import id mapped to { conversations (parsed), conversationInfo, projection }
+    // Kept where the tasks run, so the messages are not copied to the page and back before processing
+    imports: new Map(),
+    
+    /**
+     * Detect the format of an uploaded source, parse and validate it, and keep its conversations
+     * Large files (see Parser.createFileSource) are streamed, with progress in bytes
+     * @param {Object} payload - { source, importId }
+     * @param {Function} progress - Progress callback
+     * @returns {Promise<Object>} importerId, summary (see summarize) and report (see Parser.importSource)
+     */
+    async importSource({ source, importId }, progress) {
+        this.imports.delete(importId);
+        
+        await progress('parse', 0, 1, source.fileName);
+        const result = await Parser.importSource(source, (done, total) => progress('parse', done, total, source.fileName));
+        this.keepImport(importId, result.conversations, result.conversationInfo);
+        await progress('parse', 1, 1, source.fileName);
+        
+        // Importers have functions and cannot leave the worker; the page looks them up by id
+        return {
+            importerId: result.importer.id,
+            summary: this.summarize(result.conversations),
+            report: result.report
+        };
+    },
+    
+    /**
+     * Keep conversations that were imported before, e.g. a saved dataset that more files are added to
+     * @param {Object} payload - importId, conversations (raw { Date, From, Content } messages) and conversationInfo
+     * @param {Function} progress - Progress callback
+     * @returns {Promise<Object>} Summary (see summarize)
+     */
+    async addConversations({ importId, conversations, conversationInfo }, progress) {
+        const names = Object.keys(conversations);
+        const parsed = {};
+        
+        for (let i = 0; i < names.length; i++) {
+            Parser.extractConversations({ [names[i]]: conversations[names[i]] }, parsed);
+            await progress('parse', i + 1, names.length, names[i]);
+        }
+        this.keepImport(importId, parsed, conversationInfo || {});
+        
+        return this.summarize(parsed);
+    },
+    
+    /**
+     * Forget the conversations of an import, e.g. when its file is removed
+     * @param {Object} payload - { importId }
+     */
+    async dropImport({ importId }) {
+        this.imports.delete(importId);
+    },
+    
+    /**
+     * Keep parsed conversations for processImports
+     * @param {string} importId - Import id
+     * @param {Object} conversations - Person name mapped to parsed messages
+     * @param {Object} conversationInfo - Conversation name mapped to group details
+     */
+    keepImport(importId, conversations, conversationInfo) {
+        this.imports.set(importId, {
+            conversations: conversations,
+            conversationInfo: conversationInfo,
+            projection: this.getProjection()
+        });
+    },
+    
+    /**
+     * Describe imported conversations for the page, which does not get their messages
+     * @param {Object} conversations - Person name mapped to parsed messages
+     * @returns {Object} messageCount and senders (conversation name mapped to its sender names)
+     */
+    summarize(conversations) {
+        const senders = {};
+        let messageCount = 0;
+        
+        for (const name in conversations) {
+            senders[name] = Array.from(new Set(conversations[name].map(msg => msg.from)));
+            messageCount += conversations[name].length;
+        }
+        
+        return { messageCount: messageCount, senders: senders };
+    },
+    
+    /**
+     * Describe the settings the date fields of parsed messages depend on
+     * @returns {string} Selected time zone and timezone rules
+     */
+    getProjection() {
+        return JSON.stringify([Parser.getTimezone(), Parser.getTimezoneRules()]);
+    },
+    
+    /**
+     * Merge the imported files, apply the contact edits, cluster every conversation and build the stats
+     * Messages are merged and clustered one conversation at a time, so progress is per conversation
+     * @param {Object} payload - importIds (kept by importSource or addConversations, in upload order) and contactEdits
+     * @param {Function} progress - Progress callback
+     * @returns {Promise<Object>} The window.appData fields built from the imports, and added (new messages per import)
+     */
+    async processImports({ importIds, contactEdits }, progress) {
+        const imports = importIds.map(importId => {
+            const entry = this.imports.get(importId);
+            if (!entry) {
+                throw new Error('A file is no longer loaded; remove it and add it again');
+            }
+            return entry;
+        });
+        
+        // Date fields are computed in the zones set at import; update imports made under other settings
+        const projection = this.getProjection();
+        imports.filter(entry => entry.projection !== projection).forEach(entry => {
+            Parser.reprojectConversations(entry.conversations);
+            entry.projection = projection;
+        });
+        
+        const total = imports.reduce((sum, entry) => sum + Object.keys(entry.conversations).length, 0);
+        const importedConversations = {};
+        const importedConversationInfo = {};
+        const added = [];
+        let done = 0;
+        
+        // Merge the files in upload order; messages already imported are skipped
+        for (const entry of imports) {
+            let count = 0;
+            for (const name in entry.conversations) {
+                count += Parser.mergeMessages(name, entry.conversations[name], importedConversations);
+                await progress('extract', ++done, total, name);
+            }
+            Parser.mergeConversationInfo(entry.conversationInfo, importedConversationInfo);
+            added.push(count);
+        }
+        
+        // Merged, renamed and split contacts; contact timezone rules follow the new names
+        const edited = ContactManager.applyEdits(importedConversations, importedConversationInfo, contactEdits);
+        if (contactEdits.length > 0) {
+            Parser.reprojectConversations(edited.conversations);
+            
+            // The messages are shared with the imports, whose date fields now follow the edited names
+            imports.forEach(entry => {
+                entry.projection = null;
+            });
+        }
+        
+        const names = Object.keys(edited.conversations);
+        const processed = {};
+        for (let i = 0; i < names.length; i++) {
+            Object.assign(processed, Processor.processConversations({ [names[i]]: edited.conversations[names[i]] }, edited.conversationInfo));
+            await progress('cluster', i + 1, names.length, names[i]);
+        }
+        
+        await progress('stats', 0, 1);
+        const overviewStats = Stats.generateOverviewStats(processed);
+        const enhancedOverviewStats = StatsGeneral.generateEnhancedOverviewStats(processed);
+        await progress('stats', 1, 1);
+        
+        return {
+            importedConversations: importedConversations,
+            importedConversationInfo: importedConversationInfo,
+            conversations: edited.conversations,
+            conversationInfo: edited.conversationInfo,
+            contactEditResults: edited.results,
+            processed: processed,
+            overviewStats: overviewStats,
+            enhancedOverviewStats: enhancedOverviewStats,
+            added: added
+        };
+    }
+};
@@ -0,0 +1,69 @@
+/**
+ * Pipeline Worker
+ * Runs PipelineTasks off the main thread, so parsing a large export does not freeze the page
+ * Receives { id, task, payload, settings } and posts progress, result or error messages with the same id,
+ * or { cancel: true } to stop the tasks it is running
+ */
+
+// The modules read their settings from window.appData and window.convoHelper
+self.window = self;
+self.appData = { userIdentities: [] };
+self.convoHelper = { timezone: 'UTC', timezoneRules: [] };
+
+importScripts(
+    'json-stream.js',
+    'parser.js',
+    'content-classifiers.js',
+    'importer-tiktok.js',
+    'importer-tiktok-txt.js',
+    'importer-whatsapp.js',
+    'importer-telegram.js',
+    'importer-meta.js',
+    'importer-csv.js',
+    'processor.js',
+    'stats.js',
+    'stats-general.js',
+    'contact-manager.js',
+    'pipeline-tasks.js'
+);
+
+// Post progress at most this often; the last update of a step is always posted
+const progressIntervalMs = 50;
+
+// Increased by a { cancel: true } message; tasks started before it stop at their next progress update
+let generation = 0;
+
+self.onmessage = async (e) => {
+    if (e.data.cancel) {
+        generation++;
+        return;
+    }
+    
+    const { id, task, payload, settings } = e.data;
+    self.appData.userIdentities = settings.userIdentities;
+    Object.assign(self.convoHelper, settings.convoHelper);
+    
+    const taskGeneration = generation;
+    let lastPost = 0;
+    const progress = async (step, done, total, label = '') => {
+        const now = Date.now();
+        if (done === total || now - lastPost >= progressIntervalMs) {
+            lastPost = now;
+            self.postMessage({ id: id, type: 'progress', step: step, done: done, total: total, label: label });
+            
+            // Let a cancel message in
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        if (taskGeneration !== generation) {
+            throw new Error('Processing cancelled');
+        }
+    };
+    
+    try {
+        const result = await PipelineTasks[task](payload, progress);
+        self.postMessage({ id: id, type: 'result', result: result });
+    } catch (error) {
+        // Errors cannot be cloned with their extra fields, e.g. the validation report
+        self.postMessage({ id: id, type: 'error', message: error.message, report: error.report || null });
+    }
+};
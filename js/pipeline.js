@@ -0,0 +1,180 @@
+/**
+ * Pipeline Module
+ * Runs PipelineTasks in a Web Worker, so the page stays responsive while large exports are parsed
+ * Falls back to the main thread where workers cannot be started (e.g. index.html opened from file://)
+ */
+
+const Pipeline = {
+    workerUrl: 'js/pipeline-worker.js',
+    worker: null,
+    useWorker: typeof Worker !== 'undefined',
+    nextId: 1,
+    pending: new Map(),  // Request id mapped to { task, payload, onProgress, resolve, reject }
+    generation: 0,  // Increased by cancel; main-thread runs of an older generation stop
+    nextImportId: 1,
+    yieldIntervalMs: 100,  // Main thread: let the page repaint at least this often
+    
+    /**
+     * Run a pipeline task
+     * @param {string} task - PipelineTasks method, e.g. "processImports"
+     * @param {Object} payload - Task input; must be cloneable, i.e. data without functions
+     * @param {Function} onProgress - Called with (step, done, total, label) as the task goes
+     * @returns {Promise<*>} Task result; rejects with error.cancelled set if cancel was called
+     */
+    run(task, payload, onProgress = () => {}) {
+        const worker = this.getWorker();
+        if (!worker) {
+            return this.runOnMainThread(task, payload, onProgress);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { task, payload, onProgress, resolve, reject });
+            worker.postMessage({ id: id, task: task, payload: payload, settings: this.getSettings() });
+        });
+    },
+    
+    /**
+     * Create the id the tasks keep an import's conversations under (see PipelineTasks.imports)
+     * @returns {string} Import id
+     */
+    createImportId() {
+        return `import-${this.nextImportId++}`;
+    },
+    
+    /**
+     * Stop every running task; their promises reject with error.cancelled set
+     * The worker keeps the imported conversations, so it is not terminated: it drops its tasks
+     * at their next progress update
+     */
+    cancel() {
+        this.generation++;
+        
+        if (this.worker) {
+            this.worker.postMessage({ cancel: true });
+        }
+        this.pending.forEach(request => request.reject(this.createCancelledError()));
+        this.pending.clear();
+    },
+    
+    /**
+     * Get the worker, starting it if needed
+     * @returns {Worker|null} Worker, or null if tasks run on the main thread
+     */
+    getWorker() {
+        if (this.worker || !this.useWorker) {
+            return this.worker;
+        }
+        
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('Cannot start the pipeline worker, processing on the page instead:', error);
+            this.useWorker = false;
+            return null;
+        }
+        
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => this.handleWorkerError(e);
+        return this.worker;
+    },
+    
+    /**
+     * Handle a progress, result or error message from the worker
+     * @param {Object} message - { id, type, ... }
+     */
+    handleMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        
+        if (message.type === 'progress') {
+            request.onProgress(message.step, message.done, message.total, message.label);
+            return;
+        }
+        
+        this.pending.delete(message.id);
+        if (message.type === 'result') {
+            request.resolve(message.result);
+        } else {
+            const error = new Error(message.message);
+            error.report = message.report;
+            request.reject(error);
+        }
+    },
+    
+    /**
+     * The worker failed to load its scripts or crashed: run its tasks on the main thread from now on
+     * @param {ErrorEvent} e - Worker error
+     */
+    handleWorkerError(e) {
+        console.warn('Pipeline worker failed, processing on the page instead:', e.message);
+        e.preventDefault();
+        
+        this.worker.terminate();
+        this.worker = null;
+        this.useWorker = false;
+        
+        const requests = Array.from(this.pending.values());
+        this.pending.clear();
+        requests.forEach(request => {
+            this.runOnMainThread(request.task, request.payload, request.onProgress)
+                .then(request.resolve, request.reject);
+        });
+    },
+    
+    /**
+     * Run a task on the main thread, pausing now and then so the page can show the progress
+     * @param {string} task - PipelineTasks method
+     * @param {Object} payload - Task input
+     * @param {Function} onProgress - Progress callback
+     * @returns {Promise<*>} Task result
+     */
+    async runOnMainThread(task, payload, onProgress) {
+        const generation = this.generation;
+        let lastYield = Date.now();
+        
+        const progress = async (step, done, total, label = '') => {
+            if (generation !== this.generation) {
+                throw this.createCancelledError();
+            }
+            
+            const now = Date.now();
+            if (done === total || now - lastYield >= this.yieldIntervalMs) {
+                onProgress(step, done, total, label);
+                await new Promise(resolve => setTimeout(resolve, 0));
+                lastYield = Date.now();
+                
+                if (generation !== this.generation) {
+                    throw this.createCancelledError();
+                }
+            }
+        };
+        
+        return PipelineTasks[task](payload, progress);
+    },
+    
+    /**
+     * Get the settings the tasks read from window.appData and window.convoHelper
+     * @returns {Object} userIdentities and convoHelper (timezone, timezoneRules, sessionGapMinutes)
+     */
+    getSettings() {
+        return {
+            userIdentities: window.appData.userIdentities,
+            convoHelper: {
+                timezone: window.convoHelper.timezone,
+                timezoneRules: window.convoHelper.timezoneRules,
+                sessionGapMinutes: window.convoHelper.sessionGapMinutes
+            }
+        };
+    },
+    
+    /**
+     * Create the error cancelled tasks reject with
+     * @returns {Error} Error with cancelled set
+     */
+    createCancelledError() {
+        const error = new Error('Processing cancelled');
+        error.cancelled = true;
+        return error;
+    }
+};
@@ -4,36 +4,66 @@
  */
 
 const Processor = {
+    defaultSessionGapMinutes: 360,  // A pause of over 6 hours starts a new chat session
+    
+    /**
+     * Get the sender names selected as "you" (old handles, display names...)
+     * @returns {Array} Identity names, the first one is the name shown for all of them
+     */
+    getUserIdentities() {
+        return window.appData?.userIdentities || [];
+    },
+    
+    /**
+     * Check whether a sender name is one of your identities
+     * @param {string} sender - Sender name
+     * @returns {boolean} True if the sender is you
+     */
+    isUser(sender) {
+        return this.getUserIdentities().includes(sender);
+    },
+    
+    /**
+     * Get the name a sender is shown and counted under, so all your identities count as one person
+     * @param {string} sender - Sender name
+     * @returns {string} Your first identity for any of your identities, otherwise the sender
+     */
+    getSenderName(sender) {
+        return this.isUser(sender) ? this.getUserIdentities()[0] : sender;
+    },
+    
     /**
-     * Get user identity with fallback logic
-     * If the selected identity doesn't exist in the conversation participants, use the first sender
+     * Get the senders that are "you" in a conversation, with fallback logic
+     * If none of the selected identities exist in the conversation participants, use the first sender
      * @param {Array} messages - Array of messages to check
-     * @returns {string} The identity to use for "you"
+     * @returns {Set} Sender names to treat as "you"
      */
-    getUserIdentity(messages) {
-        const userIdentity = window.appData?.userIdentity;
+    getUserSenders(messages) {
+        const identities = this.getUserIdentities();
         
-        if (!userIdentity) {
-            return 'you'; // Fallback to default
+        if (identities.length === 0) {
+            return new Set(['you']); // Fallback to default
         }
         
-        // Check if the selected identity exists in this conversation
+        // Check which selected identities exist in this conversation
         const senders = new Set(messages.map(m => m.from));
+        const present = identities.filter(identity => senders.has(identity));
         
-        if (senders.has(userIdentity)) {
-            return userIdentity;
+        if (present.length > 0) {
+            return new Set(present);
         }
         
         // If not, use the first sender as fallback
-        return messages.length > 0 ? messages[0].from : 'you';
+        return new Set([messages.length > 0 ? messages[0].from : 'you']);
     },
     
     /**
      * Process conversations - cluster by weeks and group into months
      * @param {Object} conversations - Conversations object from Parser
+     * @param {Object} conversationInfo - Group details from the importers (see Parser.setConversationInfo)
      * @returns {Object} Processed data with clustering
      */
-    processConversations(conversations) {
+    processConversations(conversations, conversationInfo = {}) {
         const processed = {};
         
         for (const person in conversations) {
@@ -54,13 +84,51 @@ const Processor = {
                 weekClusters: weekClusters,
                 monthGroups: monthGroups,
                 firstMessage: messages[0],
-                lastMessage: messages[messages.length - 1]
+                lastMessage: messages[messages.length - 1],
+                ...this.getGroupDetails(person, messages, conversationInfo[person])
             };
         }
         
         return processed;
     },
     
+    /**
+     * Work out whether a conversation is a group and who is in it
+     * Chats with more than two senders are groups even when the export doesn't say so;
+     * your identities count as one sender
+     * @param {string} person - Conversation name
+     * @param {Array} messages - Parsed messages
+     * @param {Object} info - Conversation info from the importer (optional)
+     * @returns {Object} isGroup, participants and memberEvents ({ timestamp, date, type, member })
+     */
+    getGroupDetails(person, messages, info = null) {
+        const senders = new Set(messages.map(msg => this.getSenderName(msg.from)));
+        const participants = Array.from(new Set([
+            ...(info ? info.participants : []),
+            ...(info ? info.events.map(event => event.member) : []),
+            ...senders
+        ]));
+        
+        const memberEvents = (info ? info.events : [])
+            .map(event => {
+                const timestamp = Parser.parseDateString(event.Date);
+                return isNaN(timestamp) ? null : {
+                    timestamp: timestamp,
+                    date: Parser.getDateFields(timestamp, person).date,
+                    type: event.type,
+                    member: event.member
+                };
+            })
+            .filter(event => event !== null)
+            .sort((a, b) => a.timestamp - b.timestamp);
+        
+        return {
+            isGroup: !!(info && info.isGroup) || senders.size > 2,
+            participants: participants,
+            memberEvents: memberEvents
+        };
+    },
+    
     /**
      * Cluster messages by ISO weeks
      * @param {Array} messages - Array of parsed messages
@@ -285,6 +353,19 @@ const Processor = {
         return byHour;
     },
     
+    /**
+     * Copy messages with their hour and day of week in another time zone
+     * @param {Array} messages - Array of messages
+     * @param {string} timeZone - IANA time zone name
+     * @returns {Array} Projected copies of the messages
+     */
+    projectToTimezone(messages, timeZone) {
+        return messages.map(msg => {
+            const parts = Parser.getZonedParts(msg.timestamp, timeZone);
+            return { ...msg, hour: parts.hour, dayOfWeek: parts.dayOfWeek };
+        });
+    },
+    
     /**
      * Get messages by month (for monthly chart)
      * @param {Object} monthGroups - Month groups from processed data
@@ -356,9 +437,7 @@ const Processor = {
         const byDay = new Array(7).fill(0);
         
         for (const msg of messages) {
-            const date = new Date(msg.timestamp);
-            const dayOfWeek = date.getDay();
-            byDay[dayOfWeek]++;
+            byDay[msg.dayOfWeek]++;
         }
         
         return byDay;
@@ -403,7 +482,7 @@ const Processor = {
             return { yourAverage: 0, theirAverage: 0, yourMedian: 0, theirMedian: 0 };
         }
         
-        const userIdentity = this.getUserIdentity(messages);
+        const userSenders = this.getUserSenders(messages);
         const responseTimes = {
             you: [],
             them: []
@@ -414,10 +493,10 @@ const Processor = {
             const currMsg = messages[i];
             
             // Check if this is a response (different senders)
-            if (prevMsg.from !== currMsg.from) {
+            if (this.getSenderName(prevMsg.from) !== this.getSenderName(currMsg.from)) {
                 const timeDiff = (currMsg.timestamp - prevMsg.timestamp) / (1000 * 60); // minutes
                 
-                if (currMsg.from === userIdentity) {
+                if (userSenders.has(currMsg.from)) {
                     responseTimes.you.push(timeDiff);
                 } else {
                     responseTimes.them.push(timeDiff);
@@ -594,44 +673,91 @@ const Processor = {
         };
     },
     
+    /**
+     * Split a conversation into chat sessions: runs of messages with no pause longer than the inactivity gap
+     * @param {Array} messages - Messages sorted by timestamp
+     * @param {number} gapMinutes - Pause that ends a session (defaults to the gap chosen on the individual page)
+     * @returns {Array} Sessions in order, see createSession
+     */
+    splitIntoSessions(messages, gapMinutes = this.getSessionGapMinutes()) {
+        const gap = gapMinutes * 60 * 1000;
+        const userSenders = this.getUserSenders(messages);
+        const sessions = [];
+        let startIndex = 0;
+        
+        for (let i = 1; i <= messages.length; i++) {
+            if (i === messages.length || messages[i].timestamp - messages[i - 1].timestamp > gap) {
+                sessions.push(this.createSession(messages, startIndex, i - 1, sessions.length, userSenders));
+                startIndex = i;
+            }
+        }
+        
+        return sessions;
+    },
+    
+    /**
+     * Describe one chat session
+     * @param {Array} messages - Messages of the conversation
+     * @param {number} startIndex - Index of the session's first message
+     * @param {number} endIndex - Index of the session's last message
+     * @param {number} index - Position of the session in the conversation
+     * @param {Set} userSenders - Sender names that are you (see getUserSenders)
+     * @returns {Object} index, startIndex, endIndex, start and end (dates), startTimestamp, endTimestamp,
+     *                   duration (minutes), messageCount, openedBy, closedBy, openedByYou and closedByYou
+     */
+    createSession(messages, startIndex, endIndex, index, userSenders) {
+        const first = messages[startIndex];
+        const last = messages[endIndex];
+        
+        return {
+            index: index,
+            startIndex: startIndex,
+            endIndex: endIndex,
+            start: first.date,
+            end: last.date,
+            startTimestamp: first.timestamp,
+            endTimestamp: last.timestamp,
+            duration: (last.timestamp - first.timestamp) / (1000 * 60),
+            messageCount: endIndex - startIndex + 1,
+            openedBy: this.getSenderName(first.from),
+            closedBy: this.getSenderName(last.from),
+            openedByYou: userSenders.has(first.from),
+            closedByYou: userSenders.has(last.from)
+        };
+    },
+    
+    /**
+     * Get the messages of a session
+     * @param {Array} messages - Messages of the conversation the session was split from
+     * @param {Object} session - Session from splitIntoSessions
+     * @returns {Array} Messages in the session
+     */
+    getSessionMessages(messages, session) {
+        return messages.slice(session.startIndex, session.endIndex + 1);
+    },
+    
+    /**
+     * Get the inactivity gap that ends a session
+     * @returns {number} Gap in minutes
+     */
+    getSessionGapMinutes() {
+        return window.convoHelper?.sessionGapMinutes || this.defaultSessionGapMinutes;
+    },
+    
     /**
      * Calculate conversation initiator score
+     * Whoever sends the first message of a session initiated it
      * @param {Array} messages - Array of messages
+     * @param {Array} sessions - Sessions from splitIntoSessions (optional)
      * @returns {Object} Initiator statistics
      */
-    calculateInitiatorScore(messages) {
+    calculateInitiatorScore(messages, sessions = this.splitIntoSessions(messages)) {
         if (messages.length === 0) {
             return { youInitiated: 0, themInitiated: 0, yourPercentage: 0, theirPercentage: 0 };
         }
         
-        const GAP_THRESHOLD = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
-        const userIdentity = this.getUserIdentity(messages);
-        
-        let youInitiated = 0;
-        let themInitiated = 0;
-        
-        for (let i = 1; i < messages.length; i++) {
-            const timeDiff = messages[i].timestamp - messages[i - 1].timestamp;
-            
-            if (timeDiff > GAP_THRESHOLD) {
-                // This is a new conversation start
-                if (messages[i].from === userIdentity) {
-                    youInitiated++;
-                } else {
-                    themInitiated++;
-                }
-            }
-        }
-        
-        // First message is always an initiation
-        if (messages.length > 0) {
-            if (messages[0].from === userIdentity) {
-                youInitiated++;
-            } else {
-                themInitiated++;
-            }
-        }
-        
+        const youInitiated = sessions.filter(session => session.openedByYou).length;
+        const themInitiated = sessions.length - youInitiated;
         const total = youInitiated + themInitiated;
         
         return {
@@ -661,7 +787,7 @@ const Processor = {
             
             for (const msg of messages) {
                 hourCounts[msg.hour]++;
-                dayCounts[new Date(msg.timestamp).getDay()]++;
+                dayCounts[msg.dayOfWeek]++;
                 
                 const weekKey = `${msg.year}-W${String(msg.week).padStart(2, '0')}`;
                 weekCounts[weekKey] = (weekCounts[weekKey] || 0) + 1;
@@ -793,12 +919,12 @@ const Processor = {
             return { score: 0, yourPercentage: 0, theirPercentage: 0, youCount: 0, themCount: 0 };
         }
         
-        const userIdentity = this.getUserIdentity(messages);
+        const userSenders = this.getUserSenders(messages);
         let youCount = 0;
         let themCount = 0;
         
         for (const msg of messages) {
-            if (msg.from === userIdentity) {
+            if (userSenders.has(msg.from)) {
                 youCount++;
             } else {
                 themCount++;
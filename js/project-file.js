@@ -0,0 +1,209 @@
+/**
+ * Project File Module
+ * Saves the whole analysis as a .convohelper file (a ZIP archive) and opens it again,
+ * e.g. to hand it to a colleague
+ */
+
+const ProjectFile = {
+    extension: '.convohelper',
+    format: 'convohelper-project',
+    version: 1,
+    
+    init() {
+        const saveButton = document.getElementById('btn-save-project');
+        if (!saveButton) return;
+        
+        const input = document.getElementById('project-input');
+        saveButton.addEventListener('click', () => this.save());
+        document.getElementById('btn-open-project').addEventListener('click', () => input.click());
+        input.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.open(file);
+            }
+        });
+    },
+    
+    /**
+     * Check whether a file is a project file
+     * @param {string} fileName - File name
+     * @returns {boolean} True for .convohelper files
+     */
+    isProjectFile(fileName) {
+        return fileName.toLowerCase().endsWith(this.extension);
+    },
+    
+    /**
+     * Build the project archive from the current app state
+     * Archive layout:
+     *   project.json        format, version, name, settings and the open page and person
+     *   conversations.json  the imported conversations as { Date, From, Content } plus group details
+     * Messages are stored before contact edits, so the edits can still be undone after opening
+     * The word cloud stopwords come with the app (data/stopwords.txt) and the privacy filter has no
+     * settings yet, so neither is stored
+     * @returns {Promise<Blob>} .convohelper file contents
+     */
+    async build() {
+        const appData = window.appData;
+        const dataset = SessionStore.current;
+        
+        const project = {
+            format: this.format,
+            version: this.version,
+            name: dataset ? dataset.name : 'ConvoHelper project',
+            savedAt: new Date().toISOString(),
+            files: dataset ? dataset.files : [],
+            settings: SessionStore.getSettings(),
+            view: { page: UI.currentPage, person: UI.currentPerson }
+        };
+        
+        const zip = new JSZip();
+        zip.file('project.json', JSON.stringify(project, null, 2));
+        zip.file('conversations.json', JSON.stringify({
+            conversations: Parser.toNormalizedConversations(appData.importedConversations),
+            conversationInfo: appData.importedConversationInfo
+        }));
+        
+        return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    },
+    
+    /**
+     * Download the current analysis as a project file
+     */
+    async save() {
+        if (!window.appData.importedConversations) {
+            UI.showToast('Process some data first');
+            return;
+        }
+        
+        try {
+            const blob = await this.build();
+            const name = SessionStore.current ? SessionStore.current.name : 'convohelper-project';
+            Exporter.downloadBlob(blob, `${name.replace(/[\\/:*?"<>|]+/g, '_')}${this.extension}`);
+            UI.showToast('Project saved');
+        } catch (error) {
+            console.error('Error saving project:', error);
+            UI.showToast(`Could not save the project: ${error.message}`);
+        }
+    },
+    
+    /**
+     * Read a project file
+     * @param {File|Blob} file - .convohelper file
+     * @returns {Promise<Object>} project (from project.json) and data (from conversations.json)
+     */
+    async read(file) {
+        const zip = await JSZip.loadAsync(file);
+        const projectEntry = zip.file('project.json');
+        const dataEntry = zip.file('conversations.json');
+        if (!projectEntry || !dataEntry) {
+            throw new Error('Not a ConvoHelper project file');
+        }
+        
+        const project = JSON.parse(await projectEntry.async('string'));
+        if (project.format !== this.format) {
+            throw new Error('Not a ConvoHelper project file');
+        }
+        if (project.version > this.version) {
+            throw new Error('This project was saved by a newer version of ConvoHelper');
+        }
+        
+        return { project: project, data: JSON.parse(await dataEntry.async('string')) };
+    },
+    
+    /**
+     * Open a project file and restore the analysis, including the page and person that were open
+     * The messages are processed by the pipeline, like an upload; the project is also added to the recent datasets
+     * @param {File|Blob} file - .convohelper file
+     */
+    async open(file) {
+        let project;
+        let data;
+        
+        try {
+            ({ project, data } = await this.read(file));
+        } catch (error) {
+            console.error('Error opening project:', error);
+            UI.showToast(`Could not open ${file.name}: ${error.message}`);
+            return;
+        }
+        
+        // Settings first: messages are parsed in the project's time zones
+        // The page's own settings come back if opening fails or is cancelled
+        const previousSettings = SessionStore.getSettings();
+        const settings = { ...previousSettings, ...project.settings };
+        SessionStore.applySettings(settings);
+        
+        UI.navigateTo('processing');
+        UI.resetSteps();
+        UI.updateProgress(0, '0%');
+        UI.updateStep('parse', 'complete');
+        
+        const importId = Pipeline.createImportId();
+        let result;
+        try {
+            await Pipeline.run('addConversations', {
+                importId: importId,
+                conversations: data.conversations,
+                conversationInfo: data.conversationInfo || {}
+            });
+            result = await Pipeline.run('processImports', {
+                importIds: [importId],
+                contactEdits: settings.contactEdits
+            }, showProcessingProgress);
+        } catch (error) {
+            if (error.cancelled) {
+                UI.showToast('Opening cancelled');
+            } else {
+                console.error('Error opening project:', error);
+                UI.showToast(`Could not open ${file.name}: ${error.message}`);
+            }
+            SessionStore.applySettings(previousSettings);
+            UI.navigateTo('upload');
+            return;
+        } finally {
+            // Files added later are merged into the saved dataset instead (see SessionStore.createImportEntry)
+            Pipeline.run('dropImport', { importId: importId })
+                .catch(error => console.warn('Could not drop the import:', error));
+        }
+        
+        const appData = window.appData;
+        const senders = new Set();
+        Object.values(result.importedConversations).forEach(messages => messages.forEach(msg => senders.add(msg.from)));
+        
+        appData.rawData = null;
+        clearImports();
+        appData.allSenders = Array.from(senders).sort();
+        applyProcessResult(result);
+        SessionStore.showOverview();
+        SessionStore.current = null;
+        DateRangeFilter.restoreFilter(settings.dateFilter);
+        
+        this.restoreView(project.view || {});
+        SessionStore.saveDataset(project.name);
+        UI.showToast(`Opened project ${project.name}`);
+    },
+    
+    /**
+     * Go back to the page and person that were open when the project was saved
+     * @param {Object} view - { page, person }
+     */
+    restoreView(view) {
+        if (!view.person || !window.appData.processed[view.person]) return;
+        
+        UI.viewPerson(view.person);
+        if (view.page === 'export') {
+            UI.gotoExport();
+        } else if (view.page === 'overview') {
+            UI.navigateTo('overview');
+        }
+    }
+};
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => ProjectFile.init());
+} else {
+    ProjectFile.init();
+}
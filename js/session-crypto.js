@@ -0,0 +1,95 @@
+/**
+ * Session Crypto Module
+ * Passphrase encryption for saved datasets with WebCrypto: PBKDF2 derives an AES-GCM key
+ */
+
+const SessionCrypto = {
+    iterations: 600000,  // PBKDF2-SHA-256, as recommended by OWASP
+    saltBytes: 16,
+    ivBytes: 12,  // AES-GCM standard nonce size; a new one for every encryption
+    
+    /**
+     * Check whether the browser offers WebCrypto (only on https:// and localhost)
+     * @returns {boolean} True if encryption is available
+     */
+    isAvailable() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    },
+    
+    /**
+     * Create a random salt for a new passphrase
+     * @returns {Uint8Array} Salt
+     */
+    createSalt() {
+        return crypto.getRandomValues(new Uint8Array(this.saltBytes));
+    },
+    
+    /**
+     * Derive the encryption key from a passphrase
+     * @param {string} passphrase - Passphrase
+     * @param {Uint8Array} salt - Salt saved with the passphrase settings
+     * @param {number} iterations - PBKDF2 iterations saved with the passphrase settings
+     * @returns {Promise<CryptoKey>} AES-GCM key, not extractable
+     */
+    async deriveKey(passphrase, salt, iterations = this.iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+    
+    /**
+     * Encrypt a value as JSON
+     * @param {*} value - Value to encrypt; Date objects in "date" fields are restored by decrypt
+     * @param {CryptoKey} key - Key from deriveKey
+     * @returns {Promise<Object>} { iv, data } with the nonce and the ciphertext
+     */
+    async encrypt(value, key) {
+        const iv = crypto.getRandomValues(new Uint8Array(this.ivBytes));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(JSON.stringify(value))
+        );
+        
+        return { iv: iv, data: data };
+    },
+    
+    /**
+     * Decrypt a value from encrypt
+     * @param {Object} encrypted - { iv, data }
+     * @param {CryptoKey} key - Key from deriveKey
+     * @returns {Promise<*>} Decrypted value; rejects if the key is wrong or the data was changed
+     */
+    async decrypt(encrypted, key) {
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: encrypted.iv }, key, encrypted.data);
+        
+        // Parsed messages keep their wall-clock Date in "date"; JSON turned it into a string
+        return JSON.parse(new TextDecoder().decode(plain), (name, value) =>
+            name === 'date' && typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T[\d:.]+Z$/.test(value) ? new Date(value) : value
+        );
+    },
+    
+    /**
+     * Encode bytes as Base64, for settings kept in localStorage
+     * @param {Uint8Array|ArrayBuffer} bytes - Bytes
+     * @returns {string} Base64 text
+     */
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    },
+    
+    /**
+     * Decode Base64 text
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array} Bytes
+     */
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+};
@@ -0,0 +1,822 @@
+/**
+ * Session Store Module
+ * Keeps processed datasets and their settings in IndexedDB, so a reload does not mean re-uploading
+ * The database belongs to this page in this browser; nothing is sent anywhere
+ * With a passphrase, every record is encrypted with SessionCrypto before it is stored, and so are
+ * the saved settings that name contacts (see getSetting)
+ */
+
+const SessionStore = {
+    dbName: 'convohelper',
+    dbVersion: 1,
+    datasetStore: 'datasets',      // Name, summary and settings; rewritten when a setting changes
+    dataStore: 'dataset-data',     // Parsed messages; written when the dataset is processed
+    encryptionStorageKey: 'convohelper-encryption',  // Salt, iterations and a check value; never the key
+    current: null,                 // Dataset record of the open dataset
+    dbPromise: null,
+    key: null,                     // AES-GCM key while unlocked; records are encrypted when there is a passphrase
+    
+    // Saved settings that name contacts; with a passphrase they are kept in privateStorageKey, encrypted
+    privateSettingKeys: [
+        'convohelper-identities',
+        'convohelper-contact-edits',
+        'convohelper-timezone-rules',
+        'convohelper-contact-timezones',
+        'convohelper-csv-mappings'
+    ],
+    privateStorageKey: 'convohelper-private-settings',
+    privateSettings: null,         // Storage key mapped to value while unlocked, when there is a passphrase
+    privateWrite: Promise.resolve(),  // Queued writes of the encrypted settings
+    
+    init() {
+        const list = document.getElementById('recent-datasets-list');
+        if (!list || !this.isAvailable()) return;
+        
+        list.addEventListener('click', (e) => {
+            const openButton = e.target.closest('[data-open-dataset]');
+            const deleteButton = e.target.closest('[data-delete-dataset]');
+            
+            if (openButton) {
+                this.openDataset(openButton.dataset.openDataset);
+            } else if (deleteButton) {
+                this.deleteDataset(deleteButton.dataset.deleteDataset);
+            }
+        });
+        list.addEventListener('change', (e) => {
+            const input = e.target.closest('[data-rename-dataset]');
+            if (input) {
+                this.renameDataset(input.dataset.renameDataset, input.value);
+            }
+        });
+        
+        document.getElementById('btn-unlock-datasets').addEventListener('click', () => this.unlock());
+        document.getElementById('dataset-unlock-passphrase').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.unlock();
+        });
+        document.getElementById('btn-set-passphrase').addEventListener('click', () => this.setPassphrase());
+        document.getElementById('btn-remove-passphrase').addEventListener('click', () => this.removePassphrase());
+        document.getElementById('btn-forget-everything').addEventListener('click', () => this.forgetEverything());
+        
+        this.render();
+    },
+    
+    /**
+     * Check whether the browser can store datasets (IndexedDB may be off, e.g. in some private modes)
+     * @returns {boolean} True if IndexedDB exists
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    },
+    
+    /**
+     * Open the database, creating the stores on first use
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+                
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    for (const name of [this.datasetStore, this.dataStore]) {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name, { keyPath: 'id' });
+                        }
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            
+            // Try again next time instead of keeping a failed open
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    },
+    
+    /**
+     * Run requests in one transaction
+     * @param {Array} storeNames - Object stores to use
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Gets the stores by name; may return a request whose result is wanted
+     * @returns {Promise} Result of the returned request, once the transaction has completed
+     */
+    async transaction(storeNames, mode, callback) {
+        const db = await this.openDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(name => {
+                stores[name] = tx.objectStore(name);
+            });
+            
+            const request = callback(stores);
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+    
+    /**
+     * Load the passphrase settings
+     * @returns {Object|null} { salt, iterations, check } or null when datasets are stored unencrypted
+     */
+    loadEncryption() {
+        try {
+            const settings = JSON.parse(localStorage.getItem(this.encryptionStorageKey) || 'null');
+            return settings && settings.salt && settings.check ? settings : null;
+        } catch (error) {
+            console.warn('Could not load encryption settings:', error);
+            return null;
+        }
+    },
+    
+    /**
+     * Check whether the saved datasets need the passphrase before they can be read or written
+     * @returns {boolean} True if there is a passphrase and it was not entered yet
+     */
+    isLocked() {
+        return !!this.loadEncryption() && !this.key;
+    },
+    
+    /**
+     * Read a saved setting that names contacts, like localStorage.getItem
+     * With a passphrase it cannot be read until the datasets are unlocked
+     * @param {string} storageKey - One of privateSettingKeys
+     * @returns {string|null} Saved value, or null if there is none or it is locked
+     */
+    getSetting(storageKey) {
+        if (!this.loadEncryption()) {
+            return localStorage.getItem(storageKey);
+        }
+        
+        const settings = this.privateSettings || {};
+        return storageKey in settings ? settings[storageKey] : null;
+    },
+    
+    /**
+     * Save a setting that names contacts, like localStorage.setItem, encrypted when there is a passphrase
+     * While locked nothing is saved, as for datasets
+     * @param {string} storageKey - One of privateSettingKeys
+     * @param {string} value - Value to save
+     */
+    setSetting(storageKey, value) {
+        if (!this.loadEncryption()) {
+            localStorage.setItem(storageKey, value);
+            return;
+        }
+        if (!this.privateSettings) return;
+        
+        this.privateSettings = { ...this.privateSettings, [storageKey]: value };
+        this.writePrivateSettings(this.privateSettings, this.key);
+    },
+    
+    /**
+     * Store the settings that name contacts encrypted, after any write still in progress
+     * @param {Object} settings - Storage key mapped to value
+     * @param {CryptoKey} key - Key to encrypt with
+     * @returns {Promise<void>} Resolves when they are stored
+     */
+    writePrivateSettings(settings, key) {
+        this.privateWrite = this.privateWrite.then(async () => {
+            const encrypted = await SessionCrypto.encrypt(settings, key);
+            localStorage.setItem(this.privateStorageKey, JSON.stringify({
+                iv: SessionCrypto.toBase64(encrypted.iv),
+                data: SessionCrypto.toBase64(encrypted.data)
+            }));
+        }).catch(error => console.warn('Could not save encrypted settings:', error));
+        
+        return this.privateWrite;
+    },
+    
+    /**
+     * Decrypt the stored settings that name contacts
+     * @param {CryptoKey} key - Key from the passphrase
+     * @returns {Promise<Object>} Storage key mapped to value; empty if none are stored
+     */
+    async readPrivateSettings(key) {
+        const stored = JSON.parse(localStorage.getItem(this.privateStorageKey) || 'null');
+        if (!stored) return {};
+        
+        return SessionCrypto.decrypt({
+            iv: SessionCrypto.fromBase64(stored.iv),
+            data: SessionCrypto.fromBase64(stored.data)
+        }, key);
+    },
+    
+    /**
+     * Load the settings that name contacts into the modules that use them, e.g. after unlocking
+     * Data that is already open keeps the settings it was processed with
+     */
+    reloadPrivateSettings() {
+        if (window.appData.importedConversations) return;
+        
+        window.convoHelper.contactEdits = ContactManager.load();
+        window.convoHelper.timezoneRules = TimezoneRules.load();
+        window.convoHelper.contactTimezones = TimezoneRules.loadContactTimezones();
+        ContactManager.render();
+        TimezoneRules.render();
+    },
+    
+    /**
+     * Encrypt a record for storing, keeping only its ID readable
+     * @param {Object} record - Record with an id
+     * @returns {Promise<Object>} Record to store
+     */
+    async pack(record) {
+        if (!this.key) return record;
+        
+        return { id: record.id, encrypted: await SessionCrypto.encrypt(record, this.key) };
+    },
+    
+    /**
+     * Decrypt a stored record
+     * @param {Object} record - Stored record
+     * @returns {Promise<Object>} Record; rejects while locked
+     */
+    async unpack(record) {
+        if (!record || !record.encrypted) return record;
+        if (!this.key) {
+            throw new Error('Saved datasets are locked, enter the passphrase first');
+        }
+        
+        return SessionCrypto.decrypt(record.encrypted, this.key);
+    },
+    
+    /**
+     * Read one record
+     * @param {string} storeName - Object store
+     * @param {string} id - Dataset ID
+     * @returns {Promise<Object|undefined>} Decrypted record
+     */
+    async getRecord(storeName, id) {
+        const record = await this.transaction([storeName], 'readonly', stores => stores[storeName].get(id));
+        return this.unpack(record);
+    },
+    
+    /**
+     * Write records in one transaction, encrypting them first when there is a passphrase
+     * @param {Object} records - Object store name mapped to the record to put
+     */
+    async putRecords(records) {
+        const packed = {};
+        for (const storeName in records) {
+            packed[storeName] = await this.pack(records[storeName]);
+        }
+        
+        await this.transaction(Object.keys(packed), 'readwrite', stores => {
+            for (const storeName in packed) {
+                stores[storeName].put(packed[storeName]);
+            }
+        });
+    },
+    
+    /**
+     * List the saved datasets, most recently used first
+     * @returns {Promise<Array>} Dataset records without their messages
+     */
+    async listDatasets() {
+        const records = await this.transaction([this.datasetStore], 'readonly', stores => stores[this.datasetStore].getAll());
+        const datasets = await Promise.all(records.map(record => this.unpack(record)));
+        return datasets.sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+    
+    /**
+     * Count the saved datasets without reading them, e.g. while locked
+     * @returns {Promise<number>} Number of datasets
+     */
+    countDatasets() {
+        return this.transaction([this.datasetStore], 'readonly', stores => stores[this.datasetStore].count());
+    },
+    
+    /**
+     * Get a dataset record
+     * @param {string} id - Dataset ID
+     * @returns {Promise<Object|undefined>} Dataset record without its messages
+     */
+    getDataset(id) {
+        return this.getRecord(this.datasetStore, id);
+    },
+    
+    /**
+     * Collect the settings that shape the analysis of a dataset
+     * @returns {Object} Identities, time zone, timezone rules, contact time zones, contact edits, session gap and date filter
+     */
+    getSettings() {
+        const convoHelper = window.convoHelper;
+        
+        return {
+            userIdentities: window.appData.userIdentities.slice(),
+            timezone: convoHelper.timezone,
+            timezoneRules: convoHelper.timezoneRules || [],
+            contactTimezones: convoHelper.contactTimezones || {},
+            contactEdits: convoHelper.contactEdits || [],
+            sessionGapMinutes: Processor.getSessionGapMinutes(),
+            dateFilter: DateRangeFilter.activeFilter
+        };
+    },
+    
+    /**
+     * Use the settings saved with a dataset
+     * They replace the current ones for this page only; what is saved for new uploads is left alone
+     * @param {Object} settings - Settings from getSettings
+     */
+    applySettings(settings) {
+        const convoHelper = window.convoHelper;
+        
+        window.appData.userIdentities = settings.userIdentities.slice();
+        convoHelper.timezoneRules = settings.timezoneRules;
+        convoHelper.contactTimezones = settings.contactTimezones;
+        convoHelper.contactEdits = settings.contactEdits;
+        
+        // Datasets saved before sessions existed keep the current gap
+        if (settings.sessionGapMinutes > 0) {
+            ChatSessions.showGap(settings.sessionGapMinutes);
+        }
+        
+        if (Parser.isValidTimezone(settings.timezone)) {
+            convoHelper.timezone = settings.timezone;
+            DateRangeFilter.currentTimezone = settings.timezone;
+            
+            const select = document.getElementById('timezone-select');
+            if (select) {
+                select.value = settings.timezone;
+            }
+        }
+    },
+    
+    /**
+     * Save the processed data as a dataset, or update the open one
+     * The parsed messages are stored; week clusters and stats are rebuilt on open
+     * @param {string} name - Name for a new dataset (optional, defaults to the file names)
+     */
+    async saveDataset(name = null) {
+        const appData = window.appData;
+        if (!this.isAvailable() || !appData.importedConversations) return;
+        if (this.isLocked()) {
+            UI.showToast('Not saved: unlock your saved datasets with the passphrase first');
+            return;
+        }
+        
+        const now = Date.now();
+        // A reopened dataset that had files added keeps listing its own files
+        const files = appData.imports
+            .filter(entry => entry.summary)
+            .flatMap(entry => entry.files || [{ fileName: entry.fileName, size: entry.size, importer: entry.importer.name }]);
+        const previous = this.current;
+        
+        const dataset = {
+            id: previous ? previous.id : `dataset-${now}`,
+            name: previous ? previous.name : name || files.map(file => file.fileName).join(', '),
+            createdAt: previous ? previous.createdAt : now,
+            updatedAt: now,
+            files: files,
+            size: files.reduce((total, file) => total + (file.size || 0), 0),
+            messageCount: appData.overviewStats.totalMessages,
+            conversationCount: appData.overviewStats.totalConversations,
+            settings: this.getSettings()
+        };
+        
+        try {
+            await this.putRecords({
+                [this.datasetStore]: dataset,
+                [this.dataStore]: {
+                    id: dataset.id,
+                    conversations: appData.importedConversations,
+                    conversationInfo: appData.importedConversationInfo,
+                    allSenders: appData.allSenders,
+                    // Date fields hold local Date objects, so they are only valid in the same browser zone
+                    browserTimezone: DateRangeFilter.getBrowserTimezone()
+                }
+            });
+            this.current = dataset;
+        } catch (error) {
+            console.warn('Could not save dataset:', error);
+            UI.showToast(`Could not save this dataset in the browser: ${error.message}`);
+        }
+        
+        this.render();
+    },
+    
+    /**
+     * Save the current settings with the open dataset
+     */
+    async saveSettings() {
+        if (!this.current || this.isLocked()) return;
+        
+        this.current = { ...this.current, settings: this.getSettings(), updatedAt: Date.now() };
+        
+        try {
+            await this.putRecords({ [this.datasetStore]: this.current });
+        } catch (error) {
+            console.warn('Could not save dataset settings:', error);
+        }
+    },
+    
+    /**
+     * Reopen a saved dataset with its settings and show the overview
+     * @param {string} id - Dataset ID
+     */
+    async openDataset(id) {
+        let dataset;
+        let data;
+        
+        try {
+            [dataset, data] = await Promise.all([
+                this.getDataset(id),
+                this.getRecord(this.dataStore, id)
+            ]);
+        } catch (error) {
+            console.error('Error opening dataset:', error);
+            UI.showToast(`Could not open the dataset: ${error.message}`);
+            return;
+        }
+        
+        if (!dataset || !data) {
+            UI.showToast('This dataset is no longer saved');
+            this.render();
+            return;
+        }
+        
+        this.applySettings(dataset.settings);
+        this.showData(data, data.browserTimezone !== DateRangeFilter.getBrowserTimezone());
+        this.current = dataset;
+        DateRangeFilter.restoreFilter(dataset.settings.dateFilter);
+        
+        this.saveSettings();
+        UI.showToast(`Opened ${dataset.name}`);
+    },
+    
+    /**
+     * Replace the app data with restored conversations and show the overview
+     * Call applySettings first: contact edits and time zones are applied here
+     * @param {Object} data - conversations (parsed), conversationInfo and allSenders
+     * @param {boolean} reproject - Recompute the date fields, e.g. when they were computed in another zone
+     */
+    showData(data, reproject) {
+        const appData = window.appData;
+        appData.rawData = null;
+        clearImports();
+        appData.importedConversations = data.conversations;
+        appData.importedConversationInfo = data.conversationInfo;
+        appData.allSenders = data.allSenders;
+        
+        ContactManager.applyToAppData();
+        if (reproject) {
+            Parser.reprojectConversations(appData.conversations);
+        }
+        
+        appData.processed = Processor.processConversations(appData.conversations, appData.conversationInfo);
+        appData.overviewStats = Stats.generateOverviewStats(appData.processed);
+        appData.enhancedOverviewStats = StatsGeneral.generateEnhancedOverviewStats(appData.processed);
+        
+        this.showOverview();
+    },
+    
+    /**
+     * Show the overview of data that replaced the previous data
+     */
+    showOverview() {
+        UI.currentPerson = null;
+        UI.navigateTo('overview');
+        UI.populateOverview(window.appData.overviewStats);
+        document.getElementById('merge-summary').classList.add('hidden');
+    },
+    
+    /**
+     * Turn the open dataset into an upload entry, so files added later are merged into it
+     * Its messages are handed to the pipeline tasks, like those of an uploaded file
+     * @returns {Promise<Object|null>} Import entry, or null if no saved dataset is open or it could not be added
+     */
+    async createImportEntry() {
+        if (!this.current || !window.appData.importedConversations) return null;
+        
+        const entry = {
+            fileName: this.current.name,
+            size: this.current.size,
+            source: null,
+            importId: Pipeline.createImportId(),
+            importer: { name: 'Saved dataset' },
+            summary: null,
+            files: this.current.files,
+            report: null,
+            error: null,
+            added: null
+        };
+        
+        try {
+            entry.summary = await Pipeline.run('addConversations', {
+                importId: entry.importId,
+                conversations: Parser.toNormalizedConversations(window.appData.importedConversations),
+                conversationInfo: window.appData.importedConversationInfo
+            });
+        } catch (error) {
+            console.error('Error adding the dataset:', error);
+            UI.showToast(`Could not add files to ${this.current.name}: ${error.message}`);
+            return null;
+        }
+        return entry;
+    },
+    
+    /**
+     * Rename a saved dataset
+     * @param {string} id - Dataset ID
+     * @param {string} name - New name
+     */
+    async renameDataset(id, name) {
+        name = name.trim();
+        if (!name) {
+            this.render();
+            return;
+        }
+        
+        try {
+            const dataset = await this.getDataset(id);
+            if (!dataset) return;
+            
+            await this.putRecords({ [this.datasetStore]: { ...dataset, name: name } });
+            
+            if (this.current && this.current.id === id) {
+                this.current = { ...this.current, name: name };
+            }
+        } catch (error) {
+            console.warn('Could not rename dataset:', error);
+            UI.showToast(`Could not rename the dataset: ${error.message}`);
+        }
+        
+        this.render();
+    },
+    
+    /**
+     * Delete a saved dataset and its messages
+     * @param {string} id - Dataset ID
+     */
+    async deleteDataset(id) {
+        if (!confirm('Delete this dataset from the browser? The original export files are not affected.')) return;
+        
+        try {
+            await this.transaction([this.datasetStore, this.dataStore], 'readwrite', stores => {
+                stores[this.datasetStore].delete(id);
+                stores[this.dataStore].delete(id);
+            });
+            
+            // The data on screen stays until the page is left, but is no longer saved
+            if (this.current && this.current.id === id) {
+                this.current = null;
+            }
+        } catch (error) {
+            console.warn('Could not delete dataset:', error);
+            UI.showToast(`Could not delete the dataset: ${error.message}`);
+        }
+        
+        this.render();
+    },
+    
+    /**
+     * Unlock the saved datasets with the passphrase from the unlock form
+     */
+    async unlock() {
+        const input = document.getElementById('dataset-unlock-passphrase');
+        const encryption = this.loadEncryption();
+        if (!encryption || !input.value) return;
+        
+        try {
+            const key = await SessionCrypto.deriveKey(input.value, SessionCrypto.fromBase64(encryption.salt), encryption.iterations);
+            await SessionCrypto.decrypt({
+                iv: SessionCrypto.fromBase64(encryption.check.iv),
+                data: SessionCrypto.fromBase64(encryption.check.data)
+            }, key);
+            this.key = key;
+        } catch (error) {
+            // AES-GCM rejects the check value when the key is wrong
+            UI.showToast('Wrong passphrase');
+            return;
+        }
+        
+        try {
+            this.privateSettings = await this.readPrivateSettings(this.key);
+        } catch (error) {
+            console.warn('Could not read encrypted settings:', error);
+            this.privateSettings = {};
+        }
+        this.reloadPrivateSettings();
+        
+        input.value = '';
+        UI.showToast('Saved datasets unlocked');
+        this.render();
+    },
+    
+    /**
+     * Encrypt all saved datasets with a new passphrase from the form
+     * Also changes the passphrase of datasets that are already encrypted
+     */
+    async setPassphrase() {
+        const input = document.getElementById('dataset-new-passphrase');
+        const repeat = document.getElementById('dataset-repeat-passphrase');
+        
+        if (!SessionCrypto.isAvailable()) {
+            UI.showToast('Encryption needs a secure page (https:// or localhost)');
+            return;
+        }
+        if (this.isLocked()) {
+            UI.showToast('Unlock your saved datasets first');
+            return;
+        }
+        if (input.value.length < 8) {
+            UI.showToast('Use a passphrase of at least 8 characters');
+            return;
+        }
+        if (input.value !== repeat.value) {
+            UI.showToast('The passphrases do not match');
+            return;
+        }
+        
+        const salt = SessionCrypto.createSalt();
+        const key = await SessionCrypto.deriveKey(input.value, salt);
+        const check = await SessionCrypto.encrypt('convohelper', key);
+        
+        // Settings that name contacts move out of plain localStorage
+        const privateSettings = this.privateSettings || {};
+        if (!this.privateSettings) {
+            this.privateSettingKeys
+                .filter(storageKey => localStorage.getItem(storageKey) !== null)
+                .forEach(storageKey => {
+                    privateSettings[storageKey] = localStorage.getItem(storageKey);
+                });
+        }
+        
+        // Save the settings first: datasets encrypted without them could never be read again
+        try {
+            localStorage.setItem(this.encryptionStorageKey, JSON.stringify({
+                salt: SessionCrypto.toBase64(salt),
+                iterations: SessionCrypto.iterations,
+                check: { iv: SessionCrypto.toBase64(check.iv), data: SessionCrypto.toBase64(check.data) }
+            }));
+            this.privateSettings = privateSettings;
+            await this.writePrivateSettings(privateSettings, key);
+            this.privateSettingKeys.forEach(storageKey => localStorage.removeItem(storageKey));
+            await this.rewriteAll(key);
+        } catch (error) {
+            console.error('Error encrypting datasets:', error);
+            UI.showToast(`Could not encrypt the datasets: ${error.message}`);
+            return;
+        }
+        
+        input.value = '';
+        repeat.value = '';
+        UI.showToast('Saved datasets are now encrypted');
+        this.render();
+    },
+    
+    /**
+     * Decrypt all saved datasets and drop the passphrase
+     */
+    async removePassphrase() {
+        if (this.isLocked()) {
+            UI.showToast('Unlock your saved datasets first');
+            return;
+        }
+        if (!confirm('Remove the passphrase? Saved datasets will be stored unencrypted.')) return;
+        
+        try {
+            await this.rewriteAll(null);
+        } catch (error) {
+            console.error('Error decrypting datasets:', error);
+            UI.showToast(`Could not decrypt the datasets: ${error.message}`);
+            return;
+        }
+        
+        await this.privateWrite;
+        for (const storageKey in this.privateSettings) {
+            localStorage.setItem(storageKey, this.privateSettings[storageKey]);
+        }
+        this.privateSettings = null;
+        localStorage.removeItem(this.privateStorageKey);
+        localStorage.removeItem(this.encryptionStorageKey);
+        UI.showToast('Passphrase removed');
+        this.render();
+    },
+    
+    /**
+     * Store every dataset again with another key, one dataset at a time to limit memory use
+     * If this stops halfway, the datasets already rewritten can only be read with the new key
+     * @param {CryptoKey|null} key - New key, null to store unencrypted
+     */
+    async rewriteAll(key) {
+        const ids = await this.transaction([this.datasetStore], 'readonly', stores => stores[this.datasetStore].getAllKeys());
+        
+        for (const id of ids) {
+            const dataset = await this.getRecord(this.datasetStore, id);
+            const data = await this.getRecord(this.dataStore, id);
+            
+            const oldKey = this.key;
+            this.key = key;
+            try {
+                await this.putRecords(data ? { [this.datasetStore]: dataset, [this.dataStore]: data } : { [this.datasetStore]: dataset });
+            } finally {
+                this.key = oldKey;
+            }
+        }
+        
+        this.key = key;
+    },
+    
+    /**
+     * Delete every dataset, the passphrase and all saved settings, then start over
+     */
+    async forgetEverything() {
+        if (!confirm('Forget everything? This deletes all saved datasets, the passphrase, identities, timezone rules, contact edits and CSV mappings from this browser.')) return;
+        
+        // The open connection would block the deletion
+        if (this.dbPromise) {
+            try {
+                (await this.dbPromise).close();
+            } catch (error) {
+                console.warn('Could not close the database:', error);
+            }
+            this.dbPromise = null;
+        }
+        
+        await new Promise(resolve => {
+            const request = indexedDB.deleteDatabase(this.dbName);
+            request.onsuccess = resolve;
+            request.onerror = () => {
+                console.warn('Could not delete the database:', request.error);
+                resolve();
+            };
+            request.onblocked = resolve;  // Other tabs still have it open; it is deleted when they close
+        });
+        
+        Array.from({ length: localStorage.length }, (_, index) => localStorage.key(index))
+            .filter(storageKey => storageKey.startsWith('convohelper-'))
+            .forEach(storageKey => localStorage.removeItem(storageKey));
+        
+        // Reload so nothing stays in memory either
+        window.location.reload();
+    },
+    
+    /**
+     * Render the recent datasets on the upload page
+     */
+    async render() {
+        const container = document.getElementById('recent-datasets');
+        if (!container || !this.isAvailable()) return;
+        
+        const encryption = this.loadEncryption();
+        const locked = this.isLocked();
+        container.classList.remove('hidden');
+        document.getElementById('dataset-unlock').classList.toggle('hidden', !locked);
+        document.getElementById('btn-remove-passphrase').classList.toggle('hidden', !encryption || locked);
+        document.getElementById('btn-set-passphrase').textContent = encryption ? '🔑 Change Passphrase' : '🔒 Encrypt with Passphrase';
+        document.getElementById('dataset-encryption-status').textContent = !encryption
+            ? 'Datasets and the settings that name your contacts are stored unencrypted. Set a passphrase to encrypt them (PBKDF2 + AES-GCM).'
+            : locked
+                ? 'Datasets and the settings that name your contacts are encrypted and locked. Until you unlock them, saved identities, contact edits, timezone rules and CSV mappings are not used.'
+                : 'Datasets and the settings that name your contacts are encrypted and unlocked until you leave this page.';
+        
+        const list = document.getElementById('recent-datasets-list');
+        let datasets = [];
+        try {
+            if (locked) {
+                const count = await this.countDatasets();
+                list.innerHTML = `<p class="selector-hint">🔒 ${count} encrypted dataset${count === 1 ? '' : 's'}. Enter your passphrase to see ${count === 1 ? 'it' : 'them'}</p>`;
+                return;
+            }
+            datasets = await this.listDatasets();
+        } catch (error) {
+            console.warn('Could not list datasets:', error);
+        }
+        
+        if (datasets.length === 0) {
+            list.innerHTML = '<p class="selector-hint">No saved datasets yet. Processed data is saved here automatically</p>';
+            return;
+        }
+        
+        list.innerHTML = datasets.map(dataset => {
+            const saved = new Date(dataset.updatedAt).toLocaleString();
+            const isOpen = this.current && this.current.id === dataset.id ? ' · 👁️ open' : '';
+            
+            return `
+                <div class="recent-dataset">
+                    <input type="text" class="recent-dataset-name" data-rename-dataset="${dataset.id}" value="${HtmlUtils.escape(dataset.name)}" title="Rename">
+                    <span class="recent-dataset-meta">
+                        ${dataset.messageCount.toLocaleString()} messages · ${dataset.conversationCount.toLocaleString()} conversations · saved ${saved}${isOpen}
+                    </span>
+                    <button class="btn btn-primary btn-sm" data-open-dataset="${dataset.id}">Open</button>
+                    <button class="btn-clear" data-delete-dataset="${dataset.id}" title="Delete from this browser">✕</button>
+                </div>
+            `;
+        }).join('');
+    }
+};
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => SessionStore.init());
+} else {
+    SessionStore.init();
+}
@@ -26,6 +26,7 @@ const StatsGeneral = {
             conversationDensityScores: this.calculateAllDensityScores(processed),
             activityCategories: Processor.categorizeByActivity(processed),
             contentTypeDistribution: this.calculateGlobalContentDistribution(allMessages),
+            sharedItems: Stats.getSharedItems(allMessages),
             messageLengthDistribution: this.calculateGlobalLengthDistribution(allMessages),
             messageVelocity: Processor.calculateMessageVelocity(allMessages)
         };
@@ -104,6 +105,7 @@ const StatsGeneral = {
         
         return {
             counts: types,
+            subtypes: Stats.describeSubtypes(Stats.countSubtypes(messages)),
             percentages: {
                 text: ((types.text / total) * 100).toFixed(1),
                 link: ((types.link / total) * 100).toFixed(1),
@@ -0,0 +1,150 @@
+/**
+ * Stats Group Module
+ * Generates per-member statistics for group conversations
+ */
+
+const StatsGroup = {
+    // A message counts as a reply to the previous sender only within this gap
+    replyWindowMinutes: 360,
+    
+    /**
+     * Generate statistics for a group conversation
+     * Members are counted by Processor.getSenderName, so all your identities are one member
+     * @param {Object} processedData - Processed data for one conversation
+     * @returns {Object} Member share, member timeline, reply matrix and hourly activity by member
+     */
+    generateGroupStats(processedData) {
+        const messages = processedData.messages;
+        const memberShare = this.calculateMemberShare(messages, processedData.participants);
+        
+        return {
+            memberCount: memberShare.length,
+            activeMemberCount: memberShare.filter(member => member.count > 0).length,
+            memberShare: memberShare,
+            memberTimeline: this.calculateMemberTimeline(messages, processedData.memberEvents, processedData.participants),
+            replyMatrix: this.calculateReplyMatrix(messages),
+            hourlyByMember: this.getHourlyByMember(messages)
+        };
+    },
+    
+    /**
+     * Count each member's share of the messages, including members who never wrote
+     * @param {Array} messages - Messages array
+     * @param {Array} participants - Member names (optional)
+     * @returns {Array} { name, count, percentage }, most messages first
+     */
+    calculateMemberShare(messages, participants = []) {
+        const counts = {};
+        for (const name of participants) {
+            counts[Processor.getSenderName(name)] = 0;
+        }
+        for (const msg of messages) {
+            const name = Processor.getSenderName(msg.from);
+            counts[name] = (counts[name] || 0) + 1;
+        }
+        
+        return Object.entries(counts)
+            .map(([name, count]) => ({
+                name: name,
+                count: count,
+                percentage: messages.length > 0 ? ((count / messages.length) * 100).toFixed(1) : '0.0'
+            }))
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    },
+    
+    /**
+     * Build each member's timeline from their first and last message and the join/leave events
+     * @param {Array} messages - Messages array
+     * @param {Array} memberEvents - Events from the export ({ timestamp, date, type, member })
+     * @param {Array} participants - Member names (optional)
+     * @returns {Array} { name, count, firstMessage, lastMessage, joined, left, start, end }, by first appearance
+     */
+    calculateMemberTimeline(messages, memberEvents = [], participants = []) {
+        const members = {};
+        const getMember = (sender) => {
+            const name = Processor.getSenderName(sender);
+            if (!members[name]) {
+                members[name] = { name: name, count: 0, firstMessage: null, lastMessage: null, joined: [], left: [] };
+            }
+            return members[name];
+        };
+        
+        for (const name of participants) {
+            getMember(name);
+        }
+        
+        // Messages are sorted by timestamp
+        for (const msg of messages) {
+            const member = getMember(msg.from);
+            member.count++;
+            member.firstMessage = member.firstMessage || msg;
+            member.lastMessage = msg;
+        }
+        
+        for (const event of memberEvents) {
+            const member = getMember(event.member);
+            (event.type === 'join' ? member.joined : member.left).push(event);
+        }
+        
+        return Object.values(members)
+            .map(member => {
+                const times = [
+                    ...member.joined, ...member.left, member.firstMessage, member.lastMessage
+                ].filter(item => item !== null).map(item => item.timestamp);
+                
+                return {
+                    ...member,
+                    start: times.length > 0 ? Math.min(...times) : null,
+                    end: times.length > 0 ? Math.max(...times) : null
+                };
+            })
+            .sort((a, b) => (a.start === null) - (b.start === null) || a.start - b.start);
+    },
+    
+    /**
+     * Count who replies to whom: a message answers the previous one when the sender changes
+     * @param {Array} messages - Messages array
+     * @returns {Object} members (most replies first) and counts[from][to]
+     */
+    calculateReplyMatrix(messages) {
+        const counts = {};
+        const totals = {};
+        const windowMs = this.replyWindowMinutes * 60 * 1000;
+        
+        for (let i = 1; i < messages.length; i++) {
+            const prevName = Processor.getSenderName(messages[i - 1].from);
+            const currName = Processor.getSenderName(messages[i].from);
+            
+            if (prevName === currName || messages[i].timestamp - messages[i - 1].timestamp > windowMs) continue;
+            
+            counts[currName] = counts[currName] || {};
+            counts[currName][prevName] = (counts[currName][prevName] || 0) + 1;
+            totals[currName] = (totals[currName] || 0) + 1;
+            totals[prevName] = (totals[prevName] || 0) + 1;
+        }
+        
+        return {
+            members: Object.keys(totals).sort((a, b) => totals[b] - totals[a]),
+            counts: counts
+        };
+    },
+    
+    /**
+     * Count messages by hour of day for each member
+     * @param {Array} messages - Messages array
+     * @returns {Object} Member name mapped to 24 hourly counts
+     */
+    getHourlyByMember(messages) {
+        const byMember = {};
+        
+        for (const msg of messages) {
+            const name = Processor.getSenderName(msg.from);
+            if (!byMember[name]) {
+                byMember[name] = new Array(24).fill(0);
+            }
+            byMember[name][msg.hour]++;
+        }
+        
+        return byMember;
+    }
+};
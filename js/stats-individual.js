@@ -13,12 +13,15 @@ const StatsIndividual = {
     generateEnhancedPersonStats(processedData, totalMessages) {
         const basicStats = Stats.generatePersonStats(processedData, totalMessages);
         const messages = processedData.messages;
+        const sessions = Processor.splitIntoSessions(messages);
         
         return {
             ...basicStats,
             // Timing & Response Patterns
             responseTimes: Processor.calculateResponseTimes(messages),
-            initiatorScore: Processor.calculateInitiatorScore(messages),
+            initiatorScore: Processor.calculateInitiatorScore(messages, sessions),
+            sessions: sessions,
+            sessionStats: this.calculateSessionStats(sessions),
             messageBursts: Processor.detectMessageBursts(messages),
             dayOfWeekPreference: Processor.getMessagesByDayOfWeek(messages),
             timeOfDayPreference: Processor.getTimeOfDayDistribution(messages),
@@ -30,6 +33,7 @@ const StatsIndividual = {
             
             // Content Analysis
             contentTypeBreakdown: this.getDetailedContentBreakdown(messages),
+            sharedItems: Stats.getSharedItems(messages),
             questionRatio: this.calculateQuestionRatio(messages),
             messageLengthProfile: this.calculateMessageLengthProfile(messages),
             
@@ -40,6 +44,78 @@ const StatsIndividual = {
         };
     },
     
+    /**
+     * Summarize the chat sessions of a conversation
+     * @param {Array} sessions - Sessions from Processor.splitIntoSessions
+     * @returns {Object} count, medianDuration and longestDuration (minutes), averageMessages,
+     *                   and how many sessions you opened and closed
+     */
+    calculateSessionStats(sessions) {
+        if (sessions.length === 0) {
+            return { count: 0, medianDuration: 0, longestDuration: 0, averageMessages: 0, openedByYou: 0, closedByYou: 0 };
+        }
+        
+        const durations = sessions.map(session => session.duration);
+        const messageCount = sessions.reduce((total, session) => total + session.messageCount, 0);
+        
+        return {
+            count: sessions.length,
+            medianDuration: Processor.calculateMedian(durations),
+            longestDuration: durations.reduce((longest, duration) => Math.max(longest, duration), 0),
+            averageMessages: messageCount / sessions.length,
+            openedByYou: sessions.filter(session => session.openedByYou).length,
+            closedByYou: sessions.filter(session => session.closedByYou).length
+        };
+    },
+    
+    /**
+     * Compare hours in your time and in the contact's time zone
+     * @param {Array} messages - Messages array
+     * @param {string} theirZone - Contact's IANA time zone
+     * @returns {Object} Hourly counts, time-of-day blocks and night replies from both sides
+     */
+    generateDualTimezoneStats(messages, theirZone) {
+        const userSenders = Processor.getUserSenders(messages);
+        const theirTimeMessages = Processor.projectToTimezone(messages, theirZone);
+        const isNight = (hour) => hour >= 23 || hour < 5;
+        
+        // Replies are messages that follow one from the other side, as in calculateResponseTimes
+        const nightReplies = {
+            you: { total: 0, yourNight: 0, theirNight: 0 },
+            them: { total: 0, yourNight: 0, theirNight: 0 }
+        };
+        for (let i = 1; i < messages.length; i++) {
+            if (Processor.getSenderName(messages[i].from) === Processor.getSenderName(messages[i - 1].from)) continue;
+            
+            const side = nightReplies[userSenders.has(messages[i].from) ? 'you' : 'them'];
+            side.total++;
+            if (isNight(messages[i].hour)) side.yourNight++;
+            if (isNight(theirTimeMessages[i].hour)) side.theirNight++;
+        }
+        
+        const bySender = (list, mine) => list.filter(msg => userSenders.has(msg.from) === mine);
+        
+        return {
+            theirZone: theirZone,
+            theirTimeMessages: theirTimeMessages,
+            byHour: {
+                yourTime: Processor.getMessagesByHour(messages),
+                theirTime: Processor.getMessagesByHour(theirTimeMessages)
+            },
+            timeOfDay: {
+                you: {
+                    yourTime: Processor.getTimeOfDayDistribution(bySender(messages, true)),
+                    theirTime: Processor.getTimeOfDayDistribution(bySender(theirTimeMessages, true))
+                },
+                them: {
+                    yourTime: Processor.getTimeOfDayDistribution(bySender(messages, false)),
+                    theirTime: Processor.getTimeOfDayDistribution(bySender(theirTimeMessages, false))
+                }
+            },
+            nightReplies: nightReplies
+        };
+    },
+    
     /**
      * Get detailed content breakdown for a person
      * @param {Array} messages - Messages array
@@ -51,6 +127,7 @@ const StatsIndividual = {
         
         return {
             counts: breakdown,
+            subtypes: Stats.describeSubtypes(Stats.countSubtypes(messages)),
             percentages: {
                 text: ((breakdown.text / total) * 100).toFixed(1),
                 link: ((breakdown.link / total) * 100).toFixed(1),
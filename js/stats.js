@@ -52,6 +52,83 @@ const Stats = {
         return types;
     },
     
+    /**
+     * Count message subtypes (see Parser.registerClassifier)
+     * @param {Array} messages - Array of messages
+     * @returns {Object} Count by subtype
+     */
+    countSubtypes(messages) {
+        const subtypes = {};
+        
+        for (const msg of messages) {
+            const subtype = msg.subtype || msg.type;
+            subtypes[subtype] = (subtypes[subtype] || 0) + 1;
+        }
+        
+        return subtypes;
+    },
+    
+    /**
+     * Describe subtype counts for display, e.g. "42 Spotify songs"
+     * Plain text and empty messages are left out
+     * @param {Object} subtypeCounts - Count by subtype
+     * @returns {Array} { id, type, label, icon, count } sorted by count
+     */
+    describeSubtypes(subtypeCounts) {
+        return Object.keys(subtypeCounts)
+            .filter(id => id !== 'text' && id !== 'empty')
+            .map(id => {
+                const classifier = Parser.getClassifier(id) || { type: id, label: id, icon: '•' };
+                return {
+                    id: id,
+                    type: classifier.type,
+                    label: classifier.label,
+                    icon: classifier.icon,
+                    count: subtypeCounts[id]
+                };
+            })
+            .sort((a, b) => b.count - a.count);
+    },
+    
+    /**
+     * Group messages that share the same item (same platform and ID, e.g. one TikTok video)
+     * @param {Array} messages - Array of messages
+     * @returns {Array} { subtype, label, icon, platformId, url, count, senders, first, last },
+     *   most shared first
+     */
+    getSharedItems(messages) {
+        const items = {};
+        
+        for (const msg of messages) {
+            if (!msg.platformId) continue;
+            
+            const key = `${msg.subtype}:${msg.platformId}`;
+            if (!items[key]) {
+                const classifier = Parser.getClassifier(msg.subtype) || { label: msg.subtype, icon: '•' };
+                items[key] = {
+                    subtype: msg.subtype,
+                    label: classifier.label,
+                    icon: classifier.icon,
+                    platformId: msg.platformId,
+                    url: (msg.urls || [])[0] || null,
+                    count: 0,
+                    senders: {},
+                    first: msg,
+                    last: msg
+                };
+            }
+            
+            const item = items[key];
+            item.count++;
+            const sender = Processor.getSenderName(msg.from);
+            item.senders[sender] = (item.senders[sender] || 0) + 1;
+            if (msg.timestamp < item.first.timestamp) item.first = msg;
+            if (msg.timestamp > item.last.timestamp) item.last = msg;
+        }
+        
+        return Object.values(items).sort((a, b) => b.count - a.count || b.last.timestamp - a.last.timestamp);
+    },
+    
     /**
      * Count links in messages
      * @param {Array} messages - Array of messages
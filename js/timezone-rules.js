@@ -0,0 +1,254 @@
+/**
+ * Timezone Rules Module
+ * Date-ranged time zones (optionally per contact) for people who travel or move
+ */
+
+const TimezoneRules = {
+    storageKey: 'convohelper-timezone-rules',
+    contactStorageKey: 'convohelper-contact-timezones',
+    
+    init() {
+        window.convoHelper = window.convoHelper || {};
+        window.convoHelper.timezoneRules = this.load();
+        window.convoHelper.contactTimezones = this.loadContactTimezones();
+        
+        const zoneSelect = document.getElementById('tz-rule-zone');
+        if (!zoneSelect) return;
+        
+        const zoneOptions = ['UTC', ...DateRangeFilter.getTimezoneList().filter(zone => zone !== 'UTC').sort()]
+            .map(zone => `<option value="${zone}">${DateRangeFilter.formatTimezoneLabel(zone)}</option>`)
+            .join('');
+        zoneSelect.innerHTML = zoneOptions;
+        zoneSelect.value = DateRangeFilter.currentTimezone;
+        
+        // Contact's own zone on the individual page
+        const contactSelect = document.getElementById('contact-tz-select');
+        contactSelect.innerHTML += zoneOptions;
+        contactSelect.addEventListener('change', (e) => {
+            if (!UI.currentPerson) return;
+            
+            this.setContactTimezone(UI.currentPerson, e.target.value);
+            UI.viewPerson(UI.currentPerson);
+        });
+        
+        document.getElementById('btn-add-tz-rule').addEventListener('click', () => this.addRule());
+        document.getElementById('tz-rules').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-rule]');
+            if (button) {
+                this.removeRule(parseInt(button.dataset.removeRule));
+            }
+        });
+        
+        this.render();
+    },
+    
+    /**
+     * Load saved rules
+     * @returns {Array} Rules
+     */
+    load() {
+        try {
+            const rules = JSON.parse(SessionStore.getSetting(this.storageKey) || '[]');
+            return Array.isArray(rules) ? rules.filter(rule => rule && Parser.isValidTimezone(rule.timeZone)) : [];
+        } catch (error) {
+            console.warn('Could not load timezone rules:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * Load the saved time zones of contacts
+     * @returns {Object} Person name mapped to IANA time zone
+     */
+    loadContactTimezones() {
+        try {
+            const zones = JSON.parse(SessionStore.getSetting(this.contactStorageKey) || '{}');
+            return zones && typeof zones === 'object' && !Array.isArray(zones) ? zones : {};
+        } catch (error) {
+            console.warn('Could not load contact time zones:', error);
+            return {};
+        }
+    },
+    
+    /**
+     * Get where a contact lives, for showing their side of the clock
+     * @param {string} personName - Person name
+     * @returns {string|null} IANA time zone
+     */
+    getContactTimezone(personName) {
+        const zone = (window.convoHelper.contactTimezones || {})[personName];
+        return zone && Parser.isValidTimezone(zone) ? zone : null;
+    },
+    
+    /**
+     * Set or clear a contact's time zone
+     * This only adds their side to the views; it does not change how messages are parsed
+     * @param {string} personName - Person name
+     * @param {string} timeZone - IANA time zone, empty to clear
+     */
+    setContactTimezone(personName, timeZone) {
+        const zones = { ...window.convoHelper.contactTimezones };
+        if (timeZone) {
+            zones[personName] = timeZone;
+        } else {
+            delete zones[personName];
+        }
+        window.convoHelper.contactTimezones = zones;
+        
+        try {
+            SessionStore.setSetting(this.contactStorageKey, JSON.stringify(zones));
+        } catch (error) {
+            console.warn('Could not save contact time zones:', error);
+        }
+        SessionStore.saveSettings();
+    },
+    
+    /**
+     * Save the rules and re-project the processed data
+     * @param {Array} rules - Rules in priority order
+     */
+    save(rules) {
+        window.convoHelper.timezoneRules = rules;
+        
+        try {
+            SessionStore.setSetting(this.storageKey, JSON.stringify(rules));
+        } catch (error) {
+            console.warn('Could not save timezone rules:', error);
+        }
+        
+        DateRangeFilter.reprojectData();
+        this.render();
+    },
+    
+    /**
+     * Add a rule from the form
+     */
+    addRule() {
+        const rule = {
+            timeZone: document.getElementById('tz-rule-zone').value,
+            from: document.getElementById('tz-rule-from').value,
+            until: document.getElementById('tz-rule-until').value,
+            contact: document.getElementById('tz-rule-contact').value
+        };
+        
+        if (!Parser.isValidTimezone(rule.timeZone)) {
+            UI.showToast('Please choose a time zone');
+            return;
+        }
+        if (rule.from && rule.until && rule.from >= rule.until) {
+            UI.showToast('The period must end after it starts');
+            return;
+        }
+        
+        this.save([...window.convoHelper.timezoneRules, rule]);
+        UI.showToast(`Added ${this.describeRule(rule)}`);
+    },
+    
+    /**
+     * Remove a rule
+     * @param {number} index - Rule index
+     */
+    removeRule(index) {
+        const rules = window.convoHelper.timezoneRules.slice();
+        rules.splice(index, 1);
+        this.save(rules);
+    },
+    
+    /**
+     * Describe a rule, e.g. "Asia/Ho_Chi_Minh until 2024-03-01"
+     * @param {Object} rule - Timezone rule
+     * @returns {string} Description
+     */
+    describeRule(rule) {
+        let period = 'always';
+        if (rule.from && rule.until) {
+            period = `${rule.from} to ${rule.until}`;
+        } else if (rule.from) {
+            period = `from ${rule.from}`;
+        } else if (rule.until) {
+            period = `until ${rule.until}`;
+        }
+        
+        return `${rule.timeZone} ${period}${rule.contact ? ` for ${rule.contact}` : ''}`;
+    },
+    
+    /**
+     * Count which rule each processed message was projected with
+     * @returns {Object} Rule index (-1 for the header zone) mapped to { count, contacts, first, last }
+     */
+    getUsage() {
+        const usage = {};
+        const conversations = (window.appData && window.appData.conversations) || {};
+        
+        for (const personName in conversations) {
+            for (const msg of conversations[personName]) {
+                const entry = usage[msg.timezoneRule] = usage[msg.timezoneRule] ||
+                    { count: 0, contacts: new Set(), first: msg, last: msg };
+                
+                entry.count++;
+                entry.contacts.add(personName);
+                if (msg.timestamp < entry.first.timestamp) entry.first = msg;
+                if (msg.timestamp > entry.last.timestamp) entry.last = msg;
+            }
+        }
+        
+        return usage;
+    },
+    
+    /**
+     * Render the rule list with how many messages each rule covered
+     */
+    render() {
+        const container = document.getElementById('tz-rules');
+        if (!container) return;
+        
+        // Contacts to choose from
+        const contactSelect = document.getElementById('tz-rule-contact');
+        const contacts = Object.keys((window.appData && window.appData.conversations) || {}).sort();
+        const selectedContact = contactSelect.value;
+        contactSelect.innerHTML = '<option value="">Everyone</option>';
+        contacts.forEach(name => contactSelect.appendChild(new Option(name, name)));
+        contactSelect.value = contacts.includes(selectedContact) ? selectedContact : '';
+        
+        const usage = this.getUsage();
+        const describeUsage = (entry) => {
+            if (!entry) return 'No messages';
+            
+            const range = `${Parser.formatDate(entry.first.date)} - ${Parser.formatDate(entry.last.date)}`;
+            return `${entry.count.toLocaleString()} messages in ${entry.contacts.size} conversation${entry.contacts.size === 1 ? '' : 's'} (${range})`;
+        };
+        
+        const rows = window.convoHelper.timezoneRules.map((rule, index) => `
+            <tr>
+                <td>${HtmlUtils.escape(rule.contact || 'Everyone')}</td>
+                <td>${HtmlUtils.escape(this.describeRule({ ...rule, contact: '' }))}</td>
+                <td>${describeUsage(usage[index])}</td>
+                <td><button class="btn-clear" data-remove-rule="${index}" title="Remove period">✕</button></td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <table class="csv-preview-table tz-rules-table">
+                <thead>
+                    <tr><th>Applies to</th><th>Time zone</th><th>Used for</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                    <tr>
+                        <td>Everything else</td>
+                        <td>${HtmlUtils.escape(DateRangeFilter.currentTimezone)} (header)</td>
+                        <td>${describeUsage(usage[-1])}</td>
+                        <td></td>
+                    </tr>
+                </tbody>
+            </table>
+        `;
+    }
+};
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => TimezoneRules.init());
+} else {
+    TimezoneRules.init();
+}
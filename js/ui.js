@@ -60,6 +60,16 @@ const UI = {
         }
     },
     
+    /**
+     * Set every processing step back to waiting, e.g. before processing again
+     */
+    resetSteps() {
+        document.querySelectorAll('#processing-steps .step').forEach(stepEl => {
+            stepEl.classList.remove('active', 'complete');
+            stepEl.querySelector('.step-icon').textContent = '⏳';
+        });
+    },
+    
     /**
      * Update processing step status
      * @param {string} step - Step name
@@ -107,6 +117,55 @@ const UI = {
         if (window.appData.enhancedOverviewStats) {
             this.populateEnhancedOverview(window.appData.enhancedOverviewStats);
         }
+        
+        // Show which timezone rule applied where
+        if (typeof TimezoneRules !== 'undefined') {
+            TimezoneRules.render();
+        }
+        
+        // Contact list and merge/rename/split results
+        if (typeof ContactManager !== 'undefined') {
+            ContactManager.render();
+        }
+        
+        document.getElementById('btn-save-project').classList.remove('hidden');
+    },
+    
+    /**
+     * Re-render every page from window.appData after the processed data was rebuilt
+     * Keeps the current page, person and export selection
+     */
+    refreshViews() {
+        const page = this.currentPage;
+        const selectedWeeks = new Set(this.selectedWeeks);
+        
+        this.populateOverview(window.appData.overviewStats);
+        
+        if (this.currentPerson && !window.appData.processed[this.currentPerson]) {
+            this.currentPerson = null;
+        }
+        
+        if (this.currentPerson) {
+            this.viewPerson(this.currentPerson);
+            
+            if (page === 'export') {
+                this.gotoExport();
+                
+                // Week keys can move between weeks when the zone changes; keep the ones that still exist
+                const weekClusters = window.appData.processed[this.currentPerson].weekClusters;
+                selectedWeeks.forEach(weekKey => {
+                    const checkbox = document.getElementById(`week-check-${weekKey}`);
+                    if (weekClusters[weekKey] && checkbox) {
+                        checkbox.checked = true;
+                        this.selectedWeeks.add(weekKey);
+                    }
+                });
+                this.updateExportSummary();
+            }
+        }
+        
+        const needsPerson = page === 'individual' || page === 'export';
+        this.navigateTo(needsPerson && !this.currentPerson ? 'overview' : page);
     },
     
     /**
@@ -130,6 +189,8 @@ const UI = {
         
         // Content types chart
         Charts.createContentTypeChart('chart-content-types', enhanced.contentTypeDistribution);
+        this.populateContentSubtypes('content-subtypes', enhanced.contentTypeDistribution.subtypes);
+        this.populateMostShared('most-shared', enhanced.sharedItems);
         
         // Message lengths chart
         Charts.createLengthDistributionChart('chart-msg-lengths', enhanced.messageLengthDistribution);
@@ -152,6 +213,58 @@ const UI = {
         this.populateActivityCategories(enhanced.activityCategories);
     },
     
+    /**
+     * Populate what was shared, e.g. "🎵 42 Spotify songs"
+     * @param {string} containerId - Container element ID
+     * @param {Array} subtypes - Described subtypes from Stats.describeSubtypes
+     */
+    populateContentSubtypes(containerId, subtypes) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        container.innerHTML = (subtypes || []).map(subtype => `
+            <span class="content-subtype content-subtype-${subtype.type}">
+                ${subtype.icon} <strong>${subtype.count.toLocaleString()}</strong> ${subtype.label}
+            </span>
+        `).join('');
+    },
+    
+    /**
+     * Populate the items shared more than once, e.g. the same TikTok sent three times
+     * @param {string} containerId - Container element ID
+     * @param {Array} sharedItems - Shared items from Stats.getSharedItems
+     */
+    populateMostShared(containerId, sharedItems) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        const repeated = (sharedItems || []).filter(item => item.count > 1);
+        if (repeated.length === 0) {
+            container.innerHTML = '<p class="no-data">Nothing was shared more than once</p>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <p class="selector-hint">${repeated.length.toLocaleString()} item${repeated.length === 1 ? ' was' : 's were'} shared more than once</p>
+            ${repeated.slice(0, 10).map(item => {
+                const senders = Object.entries(item.senders)
+                    .map(([name, count]) => `${HtmlUtils.escape(name)} ${count}×`)
+                    .join(', ');
+                const title = item.url
+                    ? `<a href="${HtmlUtils.escape(item.url)}" target="_blank" rel="noopener noreferrer">${HtmlUtils.escape(item.platformId)}</a>`
+                    : HtmlUtils.escape(item.platformId);
+                
+                return `
+                    <div class="most-shared-item">
+                        <span class="most-shared-count">${item.count}×</span>
+                        <span>${item.icon} ${HtmlUtils.escape(item.label)}: ${title}</span>
+                        <span class="most-shared-meta">${senders} · ${Parser.formatDate(item.first.date)} - ${Parser.formatDate(item.last.date)}</span>
+                    </div>
+                `;
+            }).join('')}
+        `;
+    },
+    
     /**
      * Populate activity categories
      * @param {Object} categories - Activity categories
@@ -175,7 +288,7 @@ const UI = {
                 <h4 style="color: ${config.color}">${config.title}</h4>
                 <p class="category-subtitle">${config.subtitle}</p>
                 <p class="category-count">${list.length} conversation${list.length !== 1 ? 's' : ''}</p>
-                <div class="category-list">${names.slice(0, 5).join(', ')}${names.length > 5 ? ` +${names.length - 5} more` : ''}</div>
+                <div class="category-list">${names.slice(0, 5).map(name => HtmlUtils.escape(name)).join(', ')}${names.length > 5 ? ` +${names.length - 5} more` : ''}</div>
             `;
             container.appendChild(div);
         });
@@ -199,7 +312,7 @@ const UI = {
             item.className = 'conversation-item';
             item.innerHTML = `
                 <div class="conversation-rank">${index + 1}</div>
-                <div class="conversation-name">${conv.name}</div>
+                <div class="conversation-name">${window.appData.processed[conv.name]?.isGroup ? '👥 ' : ''}${HtmlUtils.escape(conv.name)}</div>
                 <div class="conversation-count">${conv.count.toLocaleString()} msgs</div>
                 <div class="conversation-bar">
                     <div class="conversation-bar-fill" style="width: ${percentage}%"></div>
@@ -244,8 +357,9 @@ const UI = {
         const stats = Stats.generatePersonStats(data, window.appData.overviewStats.totalMessages);
         const enhancedStats = StatsIndividual.generateEnhancedPersonStats(data, window.appData.overviewStats.totalMessages);
         
-        // Update header
-        document.getElementById('individual-name').textContent = `👤 ${personName}`;
+        // Update header and switch between the 1:1 and group layouts
+        document.getElementById('individual-name').textContent = `${data.isGroup ? '👥' : '👤'} ${personName}`;
+        this.applyConversationLayout(data.isGroup);
         
         // Update stats
         document.getElementById('ind-total-messages').textContent = 
@@ -257,10 +371,15 @@ const UI = {
         
         // Create charts
         Charts.createMonthlyChart('chart-by-month', stats.byMonth);
-        Charts.createHourlyChart('chart-by-hour', stats.byHour);
+        this.populateDualTimezone(personName, data, stats);
+        
+        if (data.isGroup) {
+            this.populateGroup(StatsGroup.generateGroupStats(data));
+        }
         
         // Populate enhanced individual stats
         this.populateEnhancedIndividual(enhancedStats);
+        ChatSessions.render(data.messages, enhancedStats.sessions, enhancedStats.sessionStats);
         
         // Populate timeline
         this.populateTimeline(data.monthGroups);
@@ -269,6 +388,204 @@ const UI = {
         this.populatePersonSwitcher();
     },
     
+    /**
+     * Show the sections that fit a 1:1 chat or a group chat
+     * @param {boolean} isGroup - Whether the conversation is a group
+     */
+    applyConversationLayout(isGroup) {
+        document.querySelectorAll('#page-individual .one-to-one-only').forEach(section => {
+            section.classList.toggle('hidden', isGroup);
+        });
+        document.querySelectorAll('#page-individual .group-only').forEach(section => {
+            section.classList.toggle('hidden', !isGroup);
+        });
+    },
+    
+    /**
+     * Populate the group sections: member share, member timeline, reply matrix and hourly activity
+     * @param {Object} groupStats - Stats from StatsGroup.generateGroupStats
+     */
+    populateGroup(groupStats) {
+        document.getElementById('group-summary').textContent =
+            `${groupStats.activeMemberCount.toLocaleString()} of ${groupStats.memberCount.toLocaleString()} members wrote messages`;
+        Charts.createMemberShareChart('chart-group-share', groupStats.memberShare);
+        
+        this.populateMemberTimeline(groupStats.memberTimeline);
+        this.populateReplyMatrix(groupStats.replyMatrix);
+        
+        const topMembers = groupStats.memberShare
+            .filter(member => member.count > 0)
+            .slice(0, 5)
+            .map(member => member.name);
+        Charts.createMemberHourlyChart('chart-group-hourly', groupStats.hourlyByMember, topMembers);
+    },
+    
+    /**
+     * Draw a bar per member from their first to last appearance, with join and leave dates
+     * @param {Array} timeline - Members from StatsGroup.calculateMemberTimeline
+     */
+    populateMemberTimeline(timeline) {
+        const container = document.getElementById('group-timeline');
+        const placed = timeline.filter(member => member.start !== null);
+        if (placed.length === 0) {
+            container.innerHTML = '<p class="chart-subtitle">No member activity</p>';
+            return;
+        }
+        
+        const rangeStart = Math.min(...placed.map(member => member.start));
+        const span = Math.max(...placed.map(member => member.end)) - rangeStart || 1;
+        const formatEvents = (events, label) => events.length > 0
+            ? `${label} ${events.map(event => Parser.formatDate(event.date)).join(', ')}`
+            : null;
+        
+        container.innerHTML = placed.map(member => {
+            const left = ((member.start - rangeStart) / span) * 100;
+            const width = Math.max(((member.end - member.start) / span) * 100, 0.5);
+            const details = [
+                formatEvents(member.joined, 'Joined'),
+                member.count > 0
+                    ? `${member.count.toLocaleString()} messages, ${Parser.formatDate(member.firstMessage.date)} - ${Parser.formatDate(member.lastMessage.date)}`
+                    : 'No messages',
+                formatEvents(member.left, 'Left')
+            ].filter(detail => detail !== null).join(' · ');
+            
+            return `
+                <div class="group-timeline-row">
+                    <div class="group-timeline-name">${HtmlUtils.escape(member.name)}</div>
+                    <div class="group-timeline-track">
+                        <div class="group-timeline-bar${member.left.length > 0 ? ' group-timeline-bar-left' : ''}" style="left: ${left}%; width: ${Math.min(width, 100 - left)}%"></div>
+                    </div>
+                    <div class="group-timeline-meta">${HtmlUtils.escape(details)}</div>
+                </div>
+            `;
+        }).join('');
+    },
+    
+    /**
+     * Render who replies to whom as a table, shading cells by count
+     * @param {Object} replyMatrix - Matrix from StatsGroup.calculateReplyMatrix
+     * @param {number} limit - Number of members to show
+     */
+    populateReplyMatrix(replyMatrix, limit = 10) {
+        const container = document.getElementById('group-reply-matrix');
+        const members = replyMatrix.members.slice(0, limit);
+        if (members.length === 0) {
+            container.innerHTML = '<p class="chart-subtitle">No replies between members</p>';
+            return;
+        }
+        
+        const getCount = (from, to) => (replyMatrix.counts[from] || {})[to] || 0;
+        const maxCount = Math.max(...members.flatMap(from => members.map(to => getCount(from, to)))) || 1;
+        
+        const header = members.map(name => `<th>${HtmlUtils.escape(name)}</th>`).join('');
+        const rows = members.map(from => {
+            const cells = members.map(to => {
+                if (from === to) return '<td class="reply-matrix-self">-</td>';
+                
+                const count = getCount(from, to);
+                const alpha = (count / maxCount) * 0.8;
+                return `<td style="background: rgba(102, 126, 234, ${alpha.toFixed(2)})" title="${HtmlUtils.escape(from)} replied to ${HtmlUtils.escape(to)} ${count} times">${count.toLocaleString()}</td>`;
+            }).join('');
+            
+            return `<tr><th>${HtmlUtils.escape(from)}</th>${cells}</tr>`;
+        }).join('');
+        
+        container.innerHTML = `
+            <table class="csv-preview-table reply-matrix-table">
+                <thead><tr><th>Replier ↓ / to →</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    },
+    
+    /**
+     * Show hours from both sides when the contact's time zone is set
+     * @param {string} personName - Person name
+     * @param {Object} data - Processed data for the person
+     * @param {Object} stats - Person stats
+     */
+    populateDualTimezone(personName, data, stats) {
+        // Groups have no single "their" side
+        const theirZone = !data.isGroup && typeof TimezoneRules !== 'undefined'
+            ? TimezoneRules.getContactTimezone(personName)
+            : null;
+        const details = document.getElementById('dual-tz-details');
+        const theirHeatmap = document.getElementById('ind-heatmap-theirs');
+        const responseContext = document.getElementById('response-time-context');
+        
+        document.getElementById('contact-tz-select').value = theirZone || '';
+        document.getElementById('ind-heatmap-label').textContent = theirZone
+            ? 'Your time'
+            : 'Message distribution by hour and day';
+        ChartsHeatmap.createHourDayWeekHeatmap('chart-ind-heatmap', data.messages, theirZone ? 'your time' : '');
+        
+        if (!theirZone) {
+            details.classList.add('hidden');
+            theirHeatmap.classList.add('hidden');
+            responseContext.classList.add('hidden');
+            Charts.createHourlyChart('chart-by-hour', stats.byHour);
+            return;
+        }
+        
+        const dual = StatsIndividual.generateDualTimezoneStats(data.messages, theirZone);
+        
+        // Show the containers before drawing so the charts get their size
+        details.classList.remove('hidden');
+        theirHeatmap.classList.remove('hidden');
+        Charts.createHourlyChart('chart-by-hour', dual.byHour.yourTime, dual.byHour.theirTime);
+        ChartsHeatmap.createHourDayWeekHeatmap('chart-ind-heatmap-theirs', dual.theirTimeMessages, 'their time');
+        
+        // e.g. "you sent at 23:00 your time, which was 06:00 theirs"
+        const last = data.lastMessage;
+        const theirParts = Parser.getZonedParts(last.timestamp, theirZone);
+        const clock = (hour, minute) => `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+        const sender = Processor.getUserSenders(data.messages).has(last.from) ? 'You' : 'They';
+        document.getElementById('dual-tz-summary').textContent =
+            `Last message: ${sender} sent it at ${clock(last.hour, last.date.getMinutes())} your time (${last.timezone}), ` +
+            `which was ${clock(theirParts.hour, theirParts.minute)} their time (${theirZone}).`;
+        
+        const blocks = {
+            morning: '🌅 Morning (5-11)',
+            afternoon: '☀️ Afternoon (12-17)',
+            evening: '🌆 Evening (18-22)',
+            night: '🌙 Night (23-4)'
+        };
+        const tod = dual.timeOfDay;
+        document.getElementById('dual-tz-time-of-day').innerHTML = `
+            <table class="csv-preview-table dual-tz-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>You sent (your time)</th>
+                        <th>You sent (their time)</th>
+                        <th>They sent (their time)</th>
+                        <th>They sent (your time)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${Object.keys(blocks).map(block => `
+                        <tr>
+                            <td>${blocks[block]}</td>
+                            <td>${tod.you.yourTime[block].toLocaleString()}</td>
+                            <td>${tod.you.theirTime[block].toLocaleString()}</td>
+                            <td>${tod.them.theirTime[block].toLocaleString()}</td>
+                            <td>${tod.them.yourTime[block].toLocaleString()}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        // Night replies explain slow response times across time zones
+        const percent = (count, total) => total > 0 ? Math.round((count / total) * 100) : 0;
+        const replies = dual.nightReplies;
+        responseContext.textContent =
+            `${percent(replies.you.theirNight, replies.you.total)}% of your replies arrived during their night (23:00-4:59 their time); ` +
+            `${percent(replies.them.theirNight, replies.them.total)}% of their replies were sent during their night ` +
+            `and ${percent(replies.them.yourNight, replies.them.total)}% during yours.`;
+        responseContext.classList.remove('hidden');
+    },
+    
     /**
      * Populate enhanced individual statistics
      * @param {Object} enhanced - Enhanced stats
@@ -329,6 +646,11 @@ const UI = {
         
         if (enhanced.contentTypeBreakdown) {
             Charts.createContentTypeChart('chart-ind-content-types', enhanced.contentTypeBreakdown);
+            this.populateContentSubtypes('ind-content-subtypes', enhanced.contentTypeBreakdown.subtypes);
+        }
+        
+        if (enhanced.sharedItems) {
+            this.populateMostShared('ind-most-shared', enhanced.sharedItems);
         }
         
         if (enhanced.messageLengthProfile) {
@@ -43,7 +43,7 @@ const VizCalendar = {
         const messagesByDate = new Map();
         
         messages.forEach(msg => {
-            const date = new Date(msg.timestamp);
+            const date = msg.date; // Wall-clock time in the selected timezone
             
             // Validate date
             if (isNaN(date.getTime())) {
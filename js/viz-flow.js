@@ -23,9 +23,9 @@ const VizFlow = {
             return;
         }
         
-        // Prepare flow data - get userIdentity from window.appData
-        const userIdentity = window.appData?.userIdentity || data.userIdentity;
-        const flowData = this.prepareFlowData(personData.messages, userIdentity);
+        // Prepare flow data - "you" are any of the identities picked on the upload page
+        const userSenders = Processor.getUserSenders(personData.messages);
+        const flowData = this.prepareFlowData(personData.messages, userSenders);
         
         if (flowData.nodes.length === 0 || flowData.links.length === 0) {
             container.innerHTML = '<div class="no-data">Not enough data to create flow diagram</div>';
@@ -58,7 +58,7 @@ const VizFlow = {
     /**
      * Prepare flow data from messages
      */
-    prepareFlowData(messages, userIdentity) {
+    prepareFlowData(messages, userSenders) {
         const hourBuckets = {
             'Night (12AM-6AM)': { start: 0, end: 6 },
             'Morning (6AM-12PM)': { start: 6, end: 12 },
@@ -75,9 +75,8 @@ const VizFlow = {
         const flows = {};
         
         messages.forEach(msg => {
-            const date = new Date(msg.timestamp);
-            const hour = date.getHours();
-            const day = date.getDay();
+            const hour = msg.hour;
+            const day = msg.dayOfWeek;
             
             // Determine time period
             let timePeriod = '';
@@ -92,7 +91,7 @@ const VizFlow = {
             const dayType = dayTypes['Weekend'].includes(day) ? 'Weekend' : 'Weekday';
             
             // Determine sender type
-            const senderType = msg.sender_name === userIdentity ? 'You' : 'Them';
+            const senderType = userSenders.has(msg.from) ? 'You' : 'Them';
             
             // Create flow key
             const flowKey = `${dayType}|${timePeriod}|${senderType}`;
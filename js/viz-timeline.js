@@ -57,7 +57,7 @@ const TimelineViz = {
         const dailyCounts = {};
         const messages = personName ? (data.byPerson[personName]?.messages || []) : data.allMessages;
         messages.forEach(msg => {
-            const date = new Date(msg.timestamp_ms).toISOString().split('T')[0];
+            const date = `${msg.year}-${String(msg.month + 1).padStart(2, '0')}-${String(msg.day).padStart(2, '0')}`;
             dailyCounts[date] = (dailyCounts[date] || 0) + 1;
         });
         return Object.entries(dailyCounts)
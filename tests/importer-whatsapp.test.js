@@ -0,0 +1,37 @@
+/**
+ * WhatsApp importer tests
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Load the parser and the WhatsApp importer the way index.html does
+ * @returns {Object} ImporterWhatsApp
+ */
+function loadImporter() {
+    const context = vm.createContext({ console: console });
+    context.window = context;
+    
+    for (const file of ['parser.js', 'importer-whatsapp.js']) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8'), context, { filename: file });
+    }
+    
+    return vm.runInContext('ImporterWhatsApp', context);
+}
+
+test('an export that ends with a newline does not add it to the last message', () => {
+    const importer = loadImporter();
+    const text = '[31/12/2020, 23:59:59] Alice: Happy new year!\n' +
+                 'See you tomorrow\n' +
+                 '[01/01/2021, 00:00:05] Bob: You too\n' +
+                 '\n';
+    
+    const messages = importer.normalize({ fileName: 'WhatsApp Chat with Bob.txt', text: text }).Bob;
+    
+    assert.deepStrictEqual(Array.from(messages, msg => msg.Content), ['Happy new year!\nSee you tomorrow', 'You too']);
+});